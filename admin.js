@@ -0,0 +1,219 @@
+import { makePairId } from './lib/pairs.js';
+
+// sessionStorage key for the admin key (cleared when the tab closes)
+const ADMIN_KEY = 'similarity_admin_key';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const loginForm = document.getElementById('admin-login');
+const keyInput = document.getElementById('admin-key');
+const loginError = document.getElementById('admin-login-error');
+const dashboard = document.getElementById('admin-dashboard');
+const updatedText = document.getElementById('admin-updated');
+const refreshBtn = document.getElementById('admin-refresh-btn');
+const logoutBtn = document.getElementById('admin-logout-btn');
+const summaryBody = document.querySelector('#admin-summary tbody');
+const dropOffTable = document.getElementById('admin-dropoff');
+const experimentSelect = document.getElementById('admin-experiment');
+const coverageSummary = document.getElementById('admin-coverage-summary');
+const heatmap = document.getElementById('admin-heatmap');
+
+let refreshTimer = null;
+
+function getKey() {
+  try {
+    return sessionStorage.getItem(ADMIN_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+function setKey(key) {
+  try {
+    if (key) {
+      sessionStorage.setItem(ADMIN_KEY, key);
+    } else {
+      sessionStorage.removeItem(ADMIN_KEY);
+    }
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+// Returns the stats, or null if the key was rejected
+async function fetchStats(key, experimentName) {
+  const params = experimentName ? `?${new URLSearchParams({ experiment_name: experimentName })}` : '';
+  const response = await fetch(`/api/admin${params}`, {
+    headers: { Authorization: `Bearer ${key}` }
+  });
+
+  if (response.status === 401) return null;
+  if (!response.ok) throw new Error(`Admin stats failed with ${response.status}`);
+  return response.json();
+}
+
+function cell(row, text, className) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  row.appendChild(td);
+  return td;
+}
+
+function formatDuration(ms) {
+  if (ms === null) return '–';
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.round((ms % 60000) / 1000);
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function formatRate(rate) {
+  return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+function renderSummary(experiments) {
+  summaryBody.innerHTML = '';
+  experiments.forEach(e => {
+    const row = document.createElement('tr');
+    cell(row, e.experiment_name);
+    cell(row, e.started);
+    cell(row, e.completed);
+    cell(row, e.in_progress);
+    cell(row, e.abandoned);
+    cell(row, e.outcomes.screened_out || 0);
+    cell(row, formatDuration(e.median_duration_ms));
+    cell(row, formatRate(e.attention_pass_rate));
+    summaryBody.appendChild(row);
+  });
+}
+
+// One row per experiment, one column per page of the flow
+function renderDropOff(experiments) {
+  const thead = dropOffTable.querySelector('thead');
+  const tbody = dropOffTable.querySelector('tbody');
+  thead.innerHTML = '';
+  tbody.innerHTML = '';
+  if (experiments.length === 0) return;
+
+  const header = document.createElement('tr');
+  cell(header, 'Experiment');
+  experiments[0].drop_off.forEach(d => cell(header, d.page));
+  thead.appendChild(header);
+
+  experiments.forEach(e => {
+    const row = document.createElement('tr');
+    cell(row, e.experiment_name);
+    e.drop_off.forEach(d => cell(row, d.count));
+    tbody.appendChild(row);
+  });
+}
+
+function renderExperimentOptions(experiments, selected) {
+  experimentSelect.innerHTML = '';
+  experiments.forEach(e => {
+    const option = document.createElement('option');
+    option.value = e.experiment_name;
+    option.textContent = e.experiment_name;
+    option.selected = e.experiment_name === selected;
+    experimentSelect.appendChild(option);
+  });
+}
+
+// Product x product grid; darker cells have more ratings
+function renderHeatmap(coverage) {
+  heatmap.innerHTML = '';
+  coverageSummary.textContent = '';
+  if (!coverage) return;
+
+  const { products, counts } = coverage;
+  const pairCounts = [];
+  for (let i = 0; i < products.length; i++) {
+    for (let j = i + 1; j < products.length; j++) {
+      pairCounts.push(counts[makePairId(products[i].id, products[j].id)] || 0);
+    }
+  }
+  const max = Math.max(1, ...pairCounts);
+  const min = pairCounts.length > 0 ? Math.min(...pairCounts) : 0;
+  coverageSummary.textContent = `${pairCounts.length} pairs, ${min}–${Math.max(0, ...pairCounts)} ratings each.`;
+
+  const header = document.createElement('tr');
+  cell(header, '');
+  products.forEach((p, index) => {
+    cell(header, index + 1).title = p.name;
+  });
+  heatmap.appendChild(header);
+
+  products.forEach((rowProduct, i) => {
+    const row = document.createElement('tr');
+    cell(row, i + 1).title = `${rowProduct.id}: ${rowProduct.name}`;
+
+    products.forEach((colProduct, j) => {
+      if (i === j) {
+        cell(row, '', 'diagonal');
+        return;
+      }
+      const n = counts[makePairId(rowProduct.id, colProduct.id)] || 0;
+      const td = cell(row, n);
+      td.style.background = `rgba(37, 99, 235, ${(n / max).toFixed(2)})`;
+      td.style.color = n / max > 0.6 ? 'white' : '#333';
+      td.title = `${rowProduct.name} × ${colProduct.name}: ${n}`;
+    });
+
+    heatmap.appendChild(row);
+  });
+}
+
+async function refresh() {
+  const key = getKey();
+  if (!key) {
+    showLogin();
+    return;
+  }
+
+  try {
+    const stats = await fetchStats(key, experimentSelect.value || null);
+    if (!stats) {
+      setKey(null);
+      showLogin(true);
+      return;
+    }
+
+    loginForm.classList.add('hidden');
+    dashboard.classList.remove('hidden');
+    renderSummary(stats.experiments);
+    renderDropOff(stats.experiments);
+    renderExperimentOptions(stats.experiments, stats.coverage && stats.coverage.experiment_name);
+    renderHeatmap(stats.coverage);
+    updatedText.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+  } catch (e) {
+    console.error('Failed to load admin stats:', e);
+    updatedText.textContent = 'Failed to refresh, retrying...';
+  }
+
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refresh, REFRESH_INTERVAL_MS);
+}
+
+function showLogin(rejected = false) {
+  clearTimeout(refreshTimer);
+  dashboard.classList.add('hidden');
+  loginForm.classList.remove('hidden');
+  loginError.classList.toggle('hidden', !rejected);
+}
+
+loginForm.addEventListener('submit', event => {
+  event.preventDefault();
+  setKey(keyInput.value);
+  keyInput.value = '';
+  refresh();
+});
+
+logoutBtn.addEventListener('click', () => {
+  setKey(null);
+  showLogin();
+});
+
+refreshBtn.addEventListener('click', refresh);
+experimentSelect.addEventListener('change', refresh);
+
+refresh();
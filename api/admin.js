@@ -0,0 +1,131 @@
+import CONFIG from '../config.js';
+import { createSql } from '../lib/db.js';
+import { createHandler } from '../lib/handler.js';
+import { ABANDON_AFTER_MINUTES, flowUsesConditions, summarizeExperiments } from '../lib/monitoring.js';
+import { splitPairId } from '../lib/pairs.js';
+import { loadProducts } from '../lib/stimuli.js';
+
+const sql = createSql();
+
+// Live study monitoring for admin.html: per-experiment summary and the
+// ratings per pair_id of one experiment (for the coverage heatmap)
+export default createHandler(sql, {
+  GET: {
+    // ADMIN_API_KEY if set, otherwise the export key
+    apiKey: () => process.env.ADMIN_API_KEY || process.env.EXPORT_API_KEY,
+    query: {
+      experiment_name: { type: 'string' }
+    },
+    failure: 'Failed to load admin stats',
+    run: async ({ query, res }) => {
+      const [summaries, outcomes, progress] = await Promise.all([getSummaries(), getOutcomes(), getProgress()]);
+      const experiments = summarizeExperiments({ summaries, outcomes, progress }, CONFIG.FLOW);
+      const experimentName = query.experiment_name
+        || (experiments.some(e => e.experiment_name === CONFIG.EXPERIMENT_NAME) ? CONFIG.EXPERIMENT_NAME : null)
+        || (experiments.length > 0 ? experiments[0].experiment_name : null);
+
+      return res.status(200).json({
+        experiments,
+        coverage: experimentName ? await getCoverage(experimentName) : null
+      });
+    }
+  }
+});
+
+// Counts per experiment, in order of each one's first session. The whole
+// summary is aggregated here so the dashboard's refreshes stay cheap however
+// many sessions there are.
+function getSummaries() {
+  return sql`
+    WITH s AS (
+      SELECT
+        experiment_name, started_at, completed_at, outcome, total_duration_ms, attention_passed,
+        -- Left without finishing: no completion and no outcome other than
+        -- withdrawing, and started over ABANDON_AFTER_MINUTES ago
+        completed_at IS NULL
+          AND (outcome IS NULL OR outcome = 'returned')
+          AND started_at < NOW() - make_interval(mins => ${ABANDON_AFTER_MINUTES}) AS abandoned
+      FROM sessions
+    )
+    SELECT
+      experiment_name,
+      COUNT(*)::int AS started,
+      COUNT(completed_at)::int AS completed,
+      COUNT(*) FILTER (WHERE abandoned)::int AS abandoned,
+      COUNT(*) FILTER (WHERE completed_at IS NULL AND outcome IS NULL AND NOT abandoned)::int AS in_progress,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY total_duration_ms)
+        FILTER (WHERE completed_at IS NOT NULL) AS median_duration_ms,
+      AVG(CASE WHEN attention_passed THEN 1 ELSE 0 END)
+        FILTER (WHERE completed_at IS NOT NULL AND attention_passed IS NOT NULL)::float8 AS attention_pass_rate
+    FROM s
+    GROUP BY experiment_name
+    ORDER BY MIN(started_at)
+  `;
+}
+
+function getOutcomes() {
+  return sql`
+    SELECT experiment_name, outcome, COUNT(*)::int AS n
+    FROM sessions
+    WHERE outcome IS NOT NULL
+    GROUP BY experiment_name, outcome
+  `;
+}
+
+// Abandoned sessions counted per combination of the flags lib/monitoring.js
+// reads to find the page they left on. The URL parameters a step's `when`
+// condition sees are only grouped on when the flow has such a condition.
+function getProgress() {
+  const byParams = flowUsesConditions(CONFIG.FLOW);
+  return sql`
+    SELECT
+      s.experiment_name,
+      CASE WHEN ${byParams} THEN s.prolific_pid END AS prolific_pid,
+      CASE WHEN ${byParams} THEN s.study_id END AS study_id,
+      CASE WHEN ${byParams} THEN s.session_id_param END AS session_id_param,
+      COALESCE(jsonb_array_length(s.screening_answers), 0) > 0 AS screening_done,
+      COALESCE(s.comprehension_answers @> '[{"passed": true}]'::jsonb, false) AS instructions_done,
+      CASE
+        WHEN p.plan IS NOT NULL THEN t.n >= jsonb_array_length(p.plan->'trials')
+        ELSE t.n > 0
+      END AS trials_done,
+      s.age IS NOT NULL AS demographics_done,
+      COUNT(*)::int AS n
+    FROM sessions s
+    LEFT JOIN trial_plans p ON p.session_id = s.session_id
+    CROSS JOIN LATERAL (SELECT COUNT(*) AS n FROM trials WHERE trials.session_id = s.session_id) t
+    -- Abandoned, as in getSummaries
+    WHERE s.completed_at IS NULL
+      AND (s.outcome IS NULL OR s.outcome = 'returned')
+      AND s.started_at < NOW() - make_interval(mins => ${ABANDON_AFTER_MINUTES})
+    GROUP BY 1, 2, 3, 4, 5, 6, 7, 8
+  `;
+}
+
+// Ratings per pair (completed sessions, excluding catch and repeated trials),
+// with the experiment's products to lay the heatmap out
+async function getCoverage(experimentName) {
+  const rows = await sql`
+    SELECT t.pair_id, COUNT(*)::int AS n
+    FROM trials t
+    JOIN sessions s ON s.session_id = t.session_id
+    WHERE s.experiment_name = ${experimentName}
+      AND s.completed_at IS NOT NULL
+      AND NOT t.is_catch_trial
+      AND t.pair_id IS NOT NULL
+      AND (t.data IS NULL OR NOT (t.data ? 'repeat_of'))
+    GROUP BY t.pair_id
+  `;
+
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.pair_id] = row.n;
+  });
+
+  // Fall back to the products seen in the data if the stimulus file is gone
+  const products = await loadProducts(experimentName)
+    .then(list => list.map(p => ({ id: p.id, name: p.name })))
+    .catch(() => [...new Set(rows.flatMap(row => splitPairId(row.pair_id)))].sort().map(id => ({ id, name: id })));
+
+  return { experiment_name: experimentName, products, counts };
+}
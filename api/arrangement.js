@@ -0,0 +1,71 @@
+import { validateArrangement } from '../lib/arrangement.js';
+import { createSql } from '../lib/db.js';
+import { HttpError, createHandler } from '../lib/handler.js';
+import { isStoredSubmission, validateIdempotencyKey } from '../lib/idempotency.js';
+import { getTrialPlan } from '../lib/plans.js';
+import { summarizeTrialTelemetry, validateTrialTelemetry } from '../lib/telemetry.js';
+import { checkTrialAgainstPlan } from '../lib/trial-plan.js';
+
+const sql = createSql();
+
+// Record a spatial arrangement: the final position of every product on the
+// canvas, stored as one trial with the coordinates in the data JSONB column
+export default createHandler(sql, {
+  POST: {
+    body: {
+      session_id: { type: 'uuid', required: true },
+      trial_number: { type: 'integer', min: 1, default: 1 },
+      positions: { type: 'array', required: true, check: validateArrangement },
+      canvas_width: { type: 'number' },
+      canvas_height: { type: 'number' },
+      response_time_ms: { type: 'integer', required: true, min: 0 },
+      telemetry: { check: validateTrialTelemetry },
+      idempotency_key: { check: validateIdempotencyKey }
+    },
+    write: true,
+    failure: 'Failed to record arrangement',
+    run: async ({ body, res }) => {
+      const { session_id, trial_number, positions, canvas_width, canvas_height, response_time_ms, telemetry, idempotency_key } = body;
+
+      // Reject arrangements of a different product set than the session plan
+      const plan = await getTrialPlan(sql, session_id);
+      const planError = plan && checkTrialAgainstPlan(plan, {
+        trial_number,
+        trial_type: 'arrangement',
+        items: positions.map(p => p.id)
+      });
+      if (planError) {
+        throw new HttpError(400, planError);
+      }
+
+      const data = {
+        trial_type: 'arrangement',
+        positions: positions.map(({ id, x, y }) => ({ id, x, y }))
+      };
+      // Canvas size in pixels, kept for reference when plotting raw layouts
+      if (canvas_width !== undefined && canvas_height !== undefined) {
+        data.canvas = { width: canvas_width, height: canvas_height };
+      }
+      if (telemetry) {
+        data.telemetry = summarizeTrialTelemetry(telemetry, response_time_ms);
+      }
+
+      const inserted = await sql`
+        INSERT INTO trials (session_id, trial_number, response_time_ms, is_catch_trial, data, idempotency_key)
+        VALUES (${session_id}, ${trial_number}, ${response_time_ms}, false, ${JSON.stringify(data)}, ${idempotency_key || null})
+        ON CONFLICT (session_id, trial_number) DO NOTHING
+        RETURNING trial_number
+      `;
+
+      if (inserted.length > 0) {
+        return res.status(201).json({ success: true });
+      }
+
+      // Already recorded; a retry of the stored submission is a success
+      if (await isStoredSubmission(sql, session_id, trial_number, idempotency_key)) {
+        return res.status(200).json({ success: true, duplicate: true });
+      }
+      throw new HttpError(409, 'Arrangement already recorded');
+    }
+  }
+});
@@ -0,0 +1,41 @@
+import { assignPairs } from '../lib/assignment.js';
+import { createSql } from '../lib/db.js';
+import { HttpError, createHandler } from '../lib/handler.js';
+import { loadProducts } from '../lib/stimuli.js';
+
+const sql = createSql();
+
+export default createHandler(sql, {
+  GET: {
+    query: {
+      session_id: { type: 'uuid', required: true },
+      experiment_name: { type: 'string', required: true },
+      n_pairs: { type: 'integer', required: true, min: 1 }
+    },
+    write: true,
+    failure: 'Failed to assign pairs',
+    run: async ({ query, session, res }) => {
+      const { session_id, experiment_name, n_pairs } = query;
+
+      if (session.experiment_name !== experiment_name) {
+        throw new HttpError(400, 'experiment_name does not match session', [
+          { field: 'experiment_name', message: 'experiment_name does not match session' }
+        ]);
+      }
+
+      const products = await loadProducts(experiment_name).catch(error => {
+        console.error('Failed to load stimuli:', error);
+        throw new HttpError(404, 'Unknown experiment_name');
+      });
+
+      const { pairIds, reused } = await assignPairs(sql, {
+        sessionId: session_id,
+        experimentName: experiment_name,
+        productIds: products.map(p => p.id),
+        nPairs: n_pairs
+      });
+
+      return res.status(200).json({ pair_ids: pairIds, reused });
+    }
+  }
+});
@@ -1,51 +1,69 @@
-import { neon } from '@neondatabase/serverless';
+import CONFIG from '../config.js';
+import { collectCatchTrials, scoreAttention } from '../lib/attention.js';
+import { createSql } from '../lib/db.js';
+import { createHandler } from '../lib/handler.js';
+import { completionOutcome, completionUrl, recordOutcome } from '../lib/outcomes.js';
+import { getTrialPlan } from '../lib/plans.js';
+import { sessionTelemetry, validateSessionTelemetry } from '../lib/telemetry.js';
 
-const sql = neon(process.env.POSTGRES_URL);
+const sql = createSql();
 
-export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+export default createHandler(sql, {
+  POST: {
+    body: {
+      session_id: { type: 'uuid', required: true },
+      total_duration_ms: { type: 'integer', min: 0 },
+      // Page-level telemetry (tab switches, time away)
+      telemetry: { check: validateSessionTelemetry }
+    },
+    write: true,
+    // A retry (the first response was lost) gets the same answer as the first call
+    allowCompleted: true,
+    failure: 'Failed to complete session',
+    run: async ({ body, session, res }) => {
+      const { session_id, total_duration_ms, telemetry } = body;
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const { session_id, total_duration_ms } = req.body;
+      if (session.completed_at) {
+        return res.status(200).json({
+          success: true,
+          outcome: session.outcome,
+          redirect_url: completionUrl(session.outcome, session.experiment_name, CONFIG, process.env),
+          already_completed: true
+        });
+      }
 
-  // Validate required fields
-  if (!session_id) {
-    return res.status(400).json({ error: 'session_id is required' });
-  }
-
-  // Validate UUID format
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  if (!uuidRegex.test(session_id)) {
-    return res.status(400).json({ error: 'Invalid session_id format' });
-  }
+      // Score the catch trials against their pass criteria
+      const recordedTrials = await sql`
+        SELECT trial_number, rating, is_catch_trial, data
+        FROM trials
+        WHERE session_id = ${session_id}
+      `;
+      const plan = await getTrialPlan(sql, session_id);
+      const attention = scoreAttention(
+        collectCatchTrials(recordedTrials, plan),
+        CONFIG.CATCH_TRIALS,
+        CONFIG.ATTENTION_PASS_SCORE
+      );
 
-  try {
-    await sql`
-      UPDATE sessions
-      SET completed_at = NOW(), total_duration_ms = ${total_duration_ms || null}
-      WHERE session_id = ${session_id}
-    `;
+      await sql`
+        UPDATE sessions
+        SET completed_at = NOW(),
+            total_duration_ms = ${total_duration_ms || null},
+            attention_score = ${attention.score},
+            attention_passed = ${attention.passed},
+            telemetry = COALESCE(${telemetry ? JSON.stringify(sessionTelemetry(telemetry)) : null}::jsonb, telemetry)
+        WHERE session_id = ${session_id}
+      `;
 
-    // Return the Prolific completion URL
-    // This should be configured in environment variables for production
-    const prolificCompletionUrl = process.env.PROLIFIC_COMPLETION_URL || null;
+      // Completed or failed attention, unless the session was already given an
+      // outcome (e.g. screened out); the redirect follows the stored outcome
+      const stored = await recordOutcome(sql, session_id, completionOutcome(attention));
 
-    return res.status(200).json({
-      success: true,
-      redirect_url: prolificCompletionUrl
-    });
-  } catch (error) {
-    console.error('Failed to complete session:', error);
-    return res.status(500).json({ error: 'Failed to complete session' });
+      return res.status(200).json({
+        success: true,
+        outcome: stored.outcome,
+        redirect_url: completionUrl(stored.outcome, stored.experiment_name, CONFIG, process.env)
+      });
+    }
   }
-}
+});
@@ -0,0 +1,52 @@
+import CONFIG from '../config.js';
+import { createSql } from '../lib/db.js';
+import { createHandler } from '../lib/handler.js';
+import { completionUrl, recordOutcome } from '../lib/outcomes.js';
+import { comprehensionScreenedOut } from '../lib/screening.js';
+
+const sql = createSql();
+
+// Log a comprehension-check attempt (answers given and which questions were
+// wrong) and tell the client whether the participant is out of attempts
+export default createHandler(sql, {
+  POST: {
+    body: {
+      session_id: { type: 'uuid', required: true },
+      answers: { type: 'object', required: true },
+      incorrect: { type: 'array', required: true }
+    },
+    validate: ({ answers, incorrect }) => (incorrect.every(name => Object.hasOwn(answers, name))
+      ? []
+      : [{ field: 'incorrect', message: 'incorrect must list questions from answers' }]),
+    write: true,
+    failure: 'Failed to record comprehension attempt',
+    run: async ({ body, res }) => {
+      const { session_id, answers, incorrect } = body;
+
+      const attempt = { answers, incorrect, passed: incorrect.length === 0, submitted_at: new Date().toISOString() };
+
+      const result = await sql`
+        UPDATE sessions
+        SET comprehension_answers = COALESCE(comprehension_answers, '[]'::jsonb) || ${JSON.stringify([attempt])}::jsonb
+        WHERE session_id = ${session_id}
+        RETURNING comprehension_answers
+      `;
+
+      const attempts = result[0].comprehension_answers;
+      const screenedOut = comprehensionScreenedOut(attempts, CONFIG.COMPREHENSION_MAX_ATTEMPTS);
+
+      if (!screenedOut) {
+        return res.status(200).json({ attempts: attempts.length, passed: attempt.passed, screened_out: false });
+      }
+
+      const session = await recordOutcome(sql, session_id, 'screened_out');
+      return res.status(200).json({
+        attempts: attempts.length,
+        passed: attempt.passed,
+        screened_out: true,
+        outcome: session.outcome,
+        redirect_url: completionUrl(session.outcome, session.experiment_name, CONFIG, process.env)
+      });
+    }
+  }
+});
@@ -0,0 +1,83 @@
+import CONFIG from '../config.js';
+import { createSql } from '../lib/db.js';
+import { countExclusions, evaluateExclusions, exclusionRules, sessionsFromRows } from '../lib/exclusions.js';
+import { createHandler } from '../lib/handler.js';
+
+const sql = createSql();
+
+// Participant exclusions for one experiment. POST re-applies the experiment's
+// CONFIG.EXCLUSION_RULES to every session and replaces its rows in the
+// exclusions table; GET returns the counts currently stored.
+export default createHandler(sql, {
+  GET: {
+    apiKey: () => process.env.EXPORT_API_KEY,
+    query: {
+      experiment_name: { type: 'string', default: CONFIG.EXPERIMENT_NAME }
+    },
+    failure: 'Failed to load exclusions',
+    run: async ({ query, res }) => res.status(200).json(await exclusionCounts(query.experiment_name))
+  },
+
+  POST: {
+    apiKey: () => process.env.EXPORT_API_KEY,
+    body: {
+      experiment_name: { type: 'string', default: CONFIG.EXPERIMENT_NAME }
+    },
+    failure: 'Failed to apply exclusions',
+    run: async ({ body, res }) => {
+      await applyExclusions(body.experiment_name);
+      return res.status(200).json(await exclusionCounts(body.experiment_name));
+    }
+  }
+});
+
+async function exclusionCounts(experimentName) {
+  const [exclusions, sessions] = await Promise.all([
+    sql`SELECT session_id, reason FROM exclusions WHERE experiment_name = ${experimentName}`,
+    sql`SELECT COUNT(*)::int AS n FROM sessions WHERE experiment_name = ${experimentName}`
+  ]);
+
+  return {
+    experiment_name: experimentName,
+    rules: exclusionRules(experimentName, CONFIG),
+    ...countExclusions(exclusions, sessions[0].n)
+  };
+}
+
+async function applyExclusions(experimentName) {
+  const rows = await sql`
+    SELECT
+      s.session_id,
+      s.completed_at,
+      t.trial_number,
+      t.pair_id,
+      t.rating,
+      t.scale_min,
+      t.scale_max,
+      t.response_time_ms,
+      t.is_catch_trial,
+      t.data->>'catch_type' as catch_type,
+      t.data->>'repeat_of' as repeat_of
+    FROM sessions s
+    LEFT JOIN trials t ON s.session_id = t.session_id
+    WHERE s.experiment_name = ${experimentName}
+    ORDER BY s.started_at, s.session_id, t.trial_number
+  `;
+
+  const exclusions = evaluateExclusions(sessionsFromRows(rows), exclusionRules(experimentName, CONFIG));
+
+  // Replace the experiment's decisions in one go so the table never holds a mix of runs
+  await sql.transaction([
+    sql`DELETE FROM exclusions WHERE experiment_name = ${experimentName}`,
+    sql`
+      INSERT INTO exclusions (session_id, experiment_name, reason, value, threshold)
+      SELECT e.session_id, ${experimentName}, e.reason, e.value, e.threshold
+      FROM unnest(
+        ${exclusions.map(e => e.session_id)}::uuid[],
+        ${exclusions.map(e => e.reason)}::text[],
+        ${exclusions.map(e => e.value)}::real[],
+        ${exclusions.map(e => e.threshold)}::real[]
+      ) AS e(session_id, reason, value, threshold)
+    `
+  ]);
+}
@@ -1,51 +1,293 @@
-import { neon } from '@neondatabase/serverless';
+import { arrangementDistances } from '../lib/arrangement.js';
+import { csvRow, flattenData } from '../lib/csv.js';
+import { createSql } from '../lib/db.js';
+import { EXPORT_FILTERS_SCHEMA, exportFilters } from '../lib/export-filters.js';
+import { HttpError, createHandler } from '../lib/handler.js';
+import { retestStats } from '../lib/retest.js';
+import { triadChoice } from '../lib/triads.js';
 
-const sql = neon(process.env.POSTGRES_URL);
+const sql = createSql();
 
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+// Sessions fetched and written per query while streaming
+const SESSION_BATCH_SIZE = 100;
 
-  // Simple API key protection
-  const { key } = req.query;
-  if (!process.env.EXPORT_API_KEY || key !== process.env.EXPORT_API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
+// How the header and each batch of rows are written for each file type
+const ENCODINGS = {
+  csv: {
+    contentType: 'text/csv',
+    start: headers => headers.join(','),
+    batch: (headers, rows) => '\n' + rows.map(row => csvRow(headers, row)).join('\n'),
+    end: ''
+  },
+  json: {
+    contentType: 'application/json',
+    start: () => '[',
+    batch: (headers, rows, first) => (first ? '\n' : ',\n') + rows.map(row => JSON.stringify(row)).join(',\n'),
+    end: '\n]'
   }
+};
 
-  try {
-    // Query all data including left/right product IDs from JSONB data column
+// Session IDs matching the filters, in export order (started_at, session_id),
+// after the since_session cursor. Returns null if the cursor session doesn't exist.
+// The columns queries below repeat these filters (without the cursor), so keep them in step.
+async function selectSessions(filters) {
+  let cursor = { started_at: null, session_id: null };
+  if (filters.sinceSession) {
     const result = await sql`
-      SELECT
-        s.session_id,
-        s.prolific_pid,
-        s.experiment_name,
-        s.age,
-        s.gender,
-        s.started_at,
-        s.completed_at,
-        s.total_duration_ms,
-        t.trial_number,
-        t.pair_id,
-        t.position,
-        t.data->>'left_product_id' as left_product_id,
-        t.data->>'right_product_id' as right_product_id,
-        t.rating,
-        t.response_time_ms,
-        t.is_catch_trial
-      FROM sessions s
-      LEFT JOIN trials t ON s.session_id = t.session_id
-      ORDER BY s.started_at, s.session_id, t.trial_number
+      SELECT started_at, session_id FROM sessions WHERE session_id = ${filters.sinceSession}
     `;
+    if (result.length === 0) return null;
+    cursor = result[0];
+  }
+
+  return sql`
+    SELECT s.session_id
+    FROM sessions s
+    WHERE (${filters.experimentName}::text IS NULL OR s.experiment_name = ${filters.experimentName})
+      AND (${filters.from}::timestamptz IS NULL OR s.started_at >= ${filters.from}::timestamptz)
+      AND (${filters.to}::timestamptz IS NULL OR s.started_at < ${filters.to}::timestamptz)
+      AND (NOT ${filters.completedOnly}::boolean OR s.completed_at IS NOT NULL)
+      AND (${cursor.session_id}::uuid IS NULL
+        OR (s.started_at, s.session_id) > (${cursor.started_at}::timestamptz, ${cursor.session_id}::uuid))
+    ORDER BY s.started_at, s.session_id
+    LIMIT ${filters.limit + 1}
+  `;
+}
 
-    if (result.length === 0) {
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=experiment_data.csv');
-      return res.status(200).send('session_id,prolific_pid,experiment_name,age,gender,started_at,completed_at,total_duration_ms,trial_number,pair_id,position,left_product_id,right_product_id,rating,response_time_ms,is_catch_trial\n');
+// One row per trial (sessions without trials get one empty row), with
+// per-participant test-retest reliability and AB/BA position bias from repeated pairs
+async function longRows(sessionIds, filters) {
+  const result = await sql`
+    SELECT
+      s.session_id,
+      s.prolific_pid,
+      s.experiment_name,
+      s.age,
+      s.gender,
+      s.started_at,
+      s.completed_at,
+      s.total_duration_ms,
+      s.outcome,
+      s.attention_score,
+      s.attention_passed,
+      s.screening_passed,
+      s.screening_answers->0->>'answers' as screening_answers,
+      jsonb_array_length(s.screening_answers) as screening_attempts,
+      jsonb_array_length(s.comprehension_answers) as comprehension_attempts,
+      (SELECT string_agg(e.reason, ';' ORDER BY e.reason) FROM exclusions e WHERE e.session_id = s.session_id) as exclusion_reasons,
+      s.telemetry->>'tab_switches' as tab_switches,
+      s.telemetry->>'time_away_ms' as time_away_ms,
+      t.trial_number,
+      t.pair_id,
+      t.position,
+      t.data->>'left_product_id' as left_product_id,
+      t.data->>'right_product_id' as right_product_id,
+      t.rating,
+      t.scale_type,
+      t.scale_min,
+      t.scale_max,
+      t.response_time_ms,
+      t.is_catch_trial,
+      t.data->>'catch_type' as catch_type,
+      t.data->>'repeat_of' as repeat_of,
+      t.data
+    FROM sessions s
+    LEFT JOIN trials t ON s.session_id = t.session_id
+      AND (NOT ${filters.excludeCatch}::boolean OR NOT t.is_catch_trial)
+    WHERE s.session_id = ANY(${sessionIds}::uuid[])
+    ORDER BY s.started_at, s.session_id, t.trial_number
+  `;
+
+  const trialsBySession = new Map();
+  result.forEach(row => {
+    if (!trialsBySession.has(row.session_id)) {
+      trialsBySession.set(row.session_id, []);
     }
+    trialsBySession.get(row.session_id).push(row);
+  });
+
+  const retestBySession = new Map();
+  trialsBySession.forEach((sessionTrials, sessionId) => {
+    const stats = retestStats(sessionTrials);
+    retestBySession.set(sessionId, stats.n > 0
+      ? { retest_n: stats.n, retest_r: stats.correlation, retest_mad: stats.meanAbsDiff, position_bias: stats.positionBias }
+      : {});
+  });
+
+  return result.map(row => ({ ...row, ...retestBySession.get(row.session_id) }));
+}
+
+// The long format plus one data_<key> column per key found in the trials' data
+// JSONB. Columns come from every session matching the filters, not just the
+// page, so the pages of one export all have the same header.
+async function longFullColumns(filters) {
+  const keys = await sql`
+    SELECT DISTINCT jsonb_object_keys(t.data) AS key
+    FROM trials t
+    JOIN sessions s ON s.session_id = t.session_id
+    WHERE (${filters.experimentName}::text IS NULL OR s.experiment_name = ${filters.experimentName})
+      AND (${filters.from}::timestamptz IS NULL OR s.started_at >= ${filters.from}::timestamptz)
+      AND (${filters.to}::timestamptz IS NULL OR s.started_at < ${filters.to}::timestamptz)
+      AND (NOT ${filters.completedOnly}::boolean OR s.completed_at IS NOT NULL)
+      AND jsonb_typeof(t.data) = 'object'
+      AND (NOT ${filters.excludeCatch}::boolean OR NOT t.is_catch_trial)
+    ORDER BY key
+  `;
+  return [...EXPORTERS.long.headers, ...keys.map(({ key }) => `data_${key}`)];
+}
+
+async function longFullRows(sessionIds, filters) {
+  const rows = await longRows(sessionIds, filters);
+  return rows.map(row => ({ ...row, ...flattenData(row.data) }));
+}
+
+// One row per session with one rating column per pair_id (first presentation
+// only; catch trials and repeats are left out), for repeated-measures analyses.
+// As for long_full, the pairs are those of every session matching the filters.
+async function wideColumns(filters) {
+  const pairs = await sql`
+    SELECT DISTINCT t.pair_id
+    FROM trials t
+    JOIN sessions s ON s.session_id = t.session_id
+    WHERE (${filters.experimentName}::text IS NULL OR s.experiment_name = ${filters.experimentName})
+      AND (${filters.from}::timestamptz IS NULL OR s.started_at >= ${filters.from}::timestamptz)
+      AND (${filters.to}::timestamptz IS NULL OR s.started_at < ${filters.to}::timestamptz)
+      AND (NOT ${filters.completedOnly}::boolean OR s.completed_at IS NOT NULL)
+      AND NOT t.is_catch_trial
+      AND t.pair_id IS NOT NULL
+      AND t.data->>'repeat_of' IS NULL
+    ORDER BY t.pair_id
+  `;
+  return [...WIDE_SESSION_HEADERS, ...pairs.map(({ pair_id }) => pair_id)];
+}
+
+async function wideRows(sessionIds) {
+  const result = await sql`
+    SELECT
+      s.session_id,
+      s.prolific_pid,
+      s.experiment_name,
+      s.age,
+      s.gender,
+      s.started_at,
+      s.completed_at,
+      s.total_duration_ms,
+      s.outcome,
+      s.attention_score,
+      s.attention_passed,
+      (SELECT string_agg(e.reason, ';' ORDER BY e.reason) FROM exclusions e WHERE e.session_id = s.session_id) as exclusion_reasons,
+      COALESCE(jsonb_object_agg(t.pair_id, t.rating) FILTER (WHERE t.pair_id IS NOT NULL), '{}'::jsonb) as ratings
+    FROM sessions s
+    LEFT JOIN trials t ON s.session_id = t.session_id
+      AND NOT t.is_catch_trial
+      AND t.pair_id IS NOT NULL
+      AND t.data->>'repeat_of' IS NULL
+    WHERE s.session_id = ANY(${sessionIds}::uuid[])
+    GROUP BY s.session_id
+    ORDER BY s.started_at, s.session_id
+  `;
+
+  return result.map(({ ratings, ...row }) => ({ ...row, ...ratings }));
+}
+
+// One object per session with every session column and its trials nested,
+// data JSONB included as-is
+async function jsonRows(sessionIds, filters) {
+  const sessions = await sql`
+    SELECT
+      s.*,
+      (SELECT COALESCE(jsonb_agg(jsonb_build_object('reason', e.reason, 'value', e.value, 'threshold', e.threshold) ORDER BY e.reason), '[]'::jsonb)
+        FROM exclusions e WHERE e.session_id = s.session_id) as exclusions
+    FROM sessions s
+    WHERE s.session_id = ANY(${sessionIds}::uuid[])
+    ORDER BY s.started_at, s.session_id
+  `;
+  const trials = await sql`
+    SELECT t.*
+    FROM trials t
+    WHERE t.session_id = ANY(${sessionIds}::uuid[])
+      AND (NOT ${filters.excludeCatch}::boolean OR NOT t.is_catch_trial)
+    ORDER BY t.session_id, t.trial_number
+  `;
+
+  const trialsBySession = new Map(sessions.map(s => [s.session_id, []]));
+  trials.forEach(({ session_id, ...trial }) => {
+    trialsBySession.get(session_id).push(trial);
+  });
+
+  return sessions.map(s => ({ ...s, trials: trialsBySession.get(s.session_id) }));
+}
+
+const WIDE_SESSION_HEADERS = [
+  'session_id',
+  'prolific_pid',
+  'experiment_name',
+  'age',
+  'gender',
+  'started_at',
+  'completed_at',
+  'total_duration_ms',
+  'outcome',
+  'attention_score',
+  'attention_passed',
+  'exclusion_reasons'
+];
+
+// One row per triad trial, with the implied similar pair spelled out so
+// triplet embeddings can be fitted directly from the file
+async function triadRows(sessionIds) {
+  const result = await sql`
+    SELECT
+      s.session_id,
+      s.prolific_pid,
+      s.experiment_name,
+      s.completed_at,
+      t.trial_number,
+      t.data->'items' as items,
+      t.data->>'odd_one_out' as odd_one_out,
+      t.response_time_ms
+    FROM sessions s
+    JOIN trials t ON s.session_id = t.session_id
+    WHERE t.data->>'trial_type' = 'triad'
+      AND s.session_id = ANY(${sessionIds}::uuid[])
+    ORDER BY s.started_at, s.session_id, t.trial_number
+  `;
+
+  return result.map(row => {
+    const [item_1, item_2, item_3] = row.items;
+    const { similar } = triadChoice(row.items, row.odd_one_out);
+    return { ...row, item_1, item_2, item_3, similar_1: similar[0], similar_2: similar[1] };
+  });
+}
+
+// One row per pair of products per spatial arrangement, with the Euclidean
+// distance between them, keyed by the same pair_id as the rating data
+async function distanceRows(sessionIds) {
+  const result = await sql`
+    SELECT
+      s.session_id,
+      s.prolific_pid,
+      s.experiment_name,
+      s.completed_at,
+      t.trial_number,
+      t.data->'positions' as positions,
+      t.response_time_ms
+    FROM sessions s
+    JOIN trials t ON s.session_id = t.session_id
+    WHERE t.data->>'trial_type' = 'arrangement'
+      AND s.session_id = ANY(${sessionIds}::uuid[])
+    ORDER BY s.started_at, s.session_id, t.trial_number
+  `;
 
-    // Build CSV
-    const headers = [
+  return result.flatMap(row => arrangementDistances(row.positions)
+    .map(({ pair_id, distance }) => ({ ...row, pair_id, distance })));
+}
+
+const EXPORTERS = {
+  long: {
+    filename: 'experiment_data.csv',
+    rows: longRows,
+    headers: [
       'session_id',
       'prolific_pid',
       'experiment_name',
@@ -54,38 +296,135 @@ export default async function handler(req, res) {
       'started_at',
       'completed_at',
       'total_duration_ms',
+      'outcome',
+      'attention_score',
+      'attention_passed',
+      'screening_passed',
+      'screening_answers',
+      'screening_attempts',
+      'comprehension_attempts',
+      'exclusion_reasons',
+      'tab_switches',
+      'time_away_ms',
       'trial_number',
       'pair_id',
       'position',
       'left_product_id',
       'right_product_id',
       'rating',
+      'scale_type',
+      'scale_min',
+      'scale_max',
       'response_time_ms',
-      'is_catch_trial'
-    ];
-
-    const rows = result.map(row => {
-      return headers.map(header => {
-        const value = row[header];
-        if (value === null || value === undefined) {
-          return '';
-        }
-        // Escape values containing commas or quotes
-        const stringValue = String(value);
-        if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-          return `"${stringValue.replace(/"/g, '""')}"`;
+      'is_catch_trial',
+      'catch_type',
+      'repeat_of',
+      'retest_n',
+      'retest_r',
+      'retest_mad',
+      'position_bias'
+    ]
+  },
+  long_full: {
+    filename: 'experiment_data_full.csv',
+    rows: longFullRows,
+    columns: longFullColumns
+  },
+  wide: {
+    filename: 'experiment_data_wide.csv',
+    rows: wideRows,
+    columns: wideColumns
+  },
+  json: {
+    filename: 'experiment_data.json',
+    encoding: 'json',
+    rows: jsonRows
+  },
+  triads: {
+    filename: 'experiment_triads.csv',
+    rows: triadRows,
+    headers: [
+      'session_id',
+      'prolific_pid',
+      'experiment_name',
+      'completed_at',
+      'trial_number',
+      'item_1',
+      'item_2',
+      'item_3',
+      'odd_one_out',
+      'similar_1',
+      'similar_2',
+      'response_time_ms'
+    ]
+  },
+  distances: {
+    filename: 'experiment_distances.csv',
+    rows: distanceRows,
+    headers: [
+      'session_id',
+      'prolific_pid',
+      'experiment_name',
+      'completed_at',
+      'trial_number',
+      'pair_id',
+      'distance',
+      'response_time_ms'
+    ]
+  }
+};
+
+export default createHandler(sql, {
+  GET: {
+    // API key protection (Authorization header or ?key=)
+    apiKey: () => process.env.EXPORT_API_KEY,
+    query: {
+      format: { type: 'string', values: Object.keys(EXPORTERS), default: 'long' },
+      ...EXPORT_FILTERS_SCHEMA
+    },
+    failure: 'Failed to export data',
+    run: async ({ query, res }) => {
+      const exporter = EXPORTERS[query.format];
+
+      const filters = exportFilters(query);
+
+      // One page of matching sessions (plus one to tell whether there's another page)
+      const sessions = await selectSessions(filters);
+      if (sessions === null) {
+        throw new HttpError(400, 'since_session not found');
+      }
+
+      const sessionIds = sessions.slice(0, filters.limit).map(s => s.session_id);
+      if (sessions.length > filters.limit) {
+        res.setHeader('X-Next-Since-Session', sessionIds[sessionIds.length - 1]);
+      }
+
+      // Formats whose columns depend on the data work them out up front, for every page alike
+      const headers = exporter.columns ? await exporter.columns(filters) : exporter.headers;
+
+      // Stream the file a batch of sessions at a time so memory stays flat
+      const encoding = ENCODINGS[exporter.encoding || 'csv'];
+      res.setHeader('Content-Type', encoding.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename=${exporter.filename}`);
+      res.status(200);
+      res.write(encoding.start(headers));
+
+      try {
+        let first = true;
+        for (let i = 0; i < sessionIds.length; i += SESSION_BATCH_SIZE) {
+          const rows = await exporter.rows(sessionIds.slice(i, i + SESSION_BATCH_SIZE), filters);
+          if (rows.length > 0) {
+            res.write(encoding.batch(headers, rows, first));
+            first = false;
+          }
         }
-        return stringValue;
-      }).join(',');
-    });
-
-    const csv = [headers.join(','), ...rows].join('\n');
-
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=experiment_data.csv');
-    return res.status(200).send(csv);
-  } catch (error) {
-    console.error('Failed to export data:', error);
-    return res.status(500).json({ error: 'Failed to export data' });
+      } catch (error) {
+        // The status has already been sent; a truncated file is the only signal left
+        console.error('Failed while streaming export:', error);
+        return res.end();
+      }
+
+      return res.end(encoding.end);
+    }
   }
-}
+});
@@ -0,0 +1,65 @@
+import CONFIG from '../config.js';
+import { toCsv } from '../lib/csv.js';
+import { createSql } from '../lib/db.js';
+import { createHandler } from '../lib/handler.js';
+import { MATRIX_STATS, matrixRows, similarityMatrix } from '../lib/matrix.js';
+import { splitPairId } from '../lib/pairs.js';
+import { loadProducts } from '../lib/stimuli.js';
+
+const sql = createSql();
+
+// Mean similarity matrix of one experiment: ratings aggregated per pair_id,
+// as JSON (every statistic per cell) or a square CSV of one statistic
+export default createHandler(sql, {
+  GET: {
+    // API key protection (Authorization header or ?key=)
+    apiKey: () => process.env.EXPORT_API_KEY,
+    query: {
+      experiment_name: { type: 'string', default: CONFIG.EXPERIMENT_NAME },
+      format: { type: 'string', values: ['json', 'csv'], default: 'json' },
+      stat: { type: 'string', values: MATRIX_STATS, default: 'mean' }
+    },
+    failure: 'Failed to build similarity matrix',
+    run: async ({ query, res }) => {
+      const { experiment_name, format, stat } = query;
+
+      // Ratings rescaled to 0-100 so sessions on different response scales can be
+      // averaged. Catch trials are left out except identical pairs (the diagonal),
+      // as are repeated pairs, sessions that failed the attention checks and
+      // sessions in the exclusions table.
+      const ratings = await sql`
+        SELECT
+          t.pair_id,
+          100.0 * (t.rating - COALESCE(t.scale_min, 0)) / (COALESCE(t.scale_max, 100) - COALESCE(t.scale_min, 0)) AS rating
+        FROM trials t
+        JOIN sessions s ON s.session_id = t.session_id
+        WHERE s.experiment_name = ${experiment_name}
+          AND s.attention_passed IS NOT FALSE
+          AND NOT EXISTS (SELECT 1 FROM exclusions e WHERE e.session_id = s.session_id)
+          AND t.pair_id IS NOT NULL
+          AND t.rating IS NOT NULL
+          AND t.data->>'repeat_of' IS NULL
+          AND (NOT t.is_catch_trial OR COALESCE(t.data->>'catch_type', 'identical') = 'identical')
+      `;
+
+      // Fall back to the products seen in the data if the stimulus file is gone
+      const productIds = await loadProducts(experiment_name)
+        .then(products => products.map(p => p.id))
+        .catch(() => [...new Set(ratings.flatMap(row => splitPairId(row.pair_id)))].sort());
+
+      if (productIds.length === 0) {
+        return res.status(404).json({ error: 'No products or ratings for this experiment' });
+      }
+
+      const cells = similarityMatrix(productIds, ratings.map(row => ({ pair_id: row.pair_id, rating: Number(row.rating) })));
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=matrix_${experiment_name}_${stat}.csv`);
+        return res.status(200).send(toCsv(['product_id', ...productIds], matrixRows(productIds, cells, stat)));
+      }
+
+      return res.status(200).json({ experiment_name, products: productIds, cells });
+    }
+  }
+});
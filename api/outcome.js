@@ -0,0 +1,40 @@
+import CONFIG from '../config.js';
+import { createSql } from '../lib/db.js';
+import { createHandler } from '../lib/handler.js';
+import { CLIENT_OUTCOMES, completionUrl, recordOutcome } from '../lib/outcomes.js';
+import { sessionTelemetry, validateSessionTelemetry } from '../lib/telemetry.js';
+
+const sql = createSql();
+
+// Record an outcome only the participant can report, such as withdrawing
+// (returned). Outcomes that depend on the session's data are decided by
+// /api/screening, /api/comprehension and /api/complete instead.
+export default createHandler(sql, {
+  POST: {
+    body: {
+      session_id: { type: 'uuid', required: true },
+      outcome: { type: 'string', required: true, values: CLIENT_OUTCOMES },
+      // Page-level telemetry (tab switches, time away)
+      telemetry: { check: validateSessionTelemetry }
+    },
+    write: true,
+    failure: 'Failed to record outcome',
+    run: async ({ body, res }) => {
+      const { session_id, outcome, telemetry } = body;
+
+      if (telemetry) {
+        await sql`
+          UPDATE sessions SET telemetry = ${JSON.stringify(sessionTelemetry(telemetry))}
+          WHERE session_id = ${session_id}
+        `;
+      }
+
+      const session = await recordOutcome(sql, session_id, outcome);
+
+      return res.status(200).json({
+        outcome: session.outcome,
+        redirect_url: completionUrl(session.outcome, session.experiment_name, CONFIG, process.env)
+      });
+    }
+  }
+});
@@ -0,0 +1,56 @@
+import CONFIG from '../config.js';
+import { createSql } from '../lib/db.js';
+import { HttpError, createHandler } from '../lib/handler.js';
+import { completionUrl, recordOutcome } from '../lib/outcomes.js';
+import { evaluateRule, resolveScreening, validateScreeningAnswers } from '../lib/screening.js';
+import { loadStimuli } from '../lib/stimuli.js';
+
+const sql = createSql();
+
+// Record a session's screening answers and decide eligibility on the server.
+// Every submission is kept, but the first one decides, so changing answers
+// after being screened out doesn't let a participant in.
+export default createHandler(sql, {
+  POST: {
+    body: {
+      session_id: { type: 'uuid', required: true },
+      answers: { type: 'object', required: true }
+    },
+    write: true,
+    failure: 'Failed to record screening',
+    run: async ({ body, session, res }) => {
+      const { session_id, answers } = body;
+
+      // The questions depend on the session's experiment
+      const stimuli = await loadStimuli(session.experiment_name).catch(() => null);
+      const screening = resolveScreening(stimuli, CONFIG);
+
+      const answersError = validateScreeningAnswers(answers, screening.questions);
+      if (answersError) {
+        throw new HttpError(400, answersError, [{ field: 'answers', message: answersError }]);
+      }
+
+      const eligible = evaluateRule(screening.eligibility, answers);
+      const attempt = { answers, eligible, submitted_at: new Date().toISOString() };
+
+      const result = await sql`
+        UPDATE sessions
+        SET screening_answers = COALESCE(screening_answers, '[]'::jsonb) || ${JSON.stringify([attempt])}::jsonb,
+            screening_passed = COALESCE(screening_passed, ${eligible})
+        WHERE session_id = ${session_id}
+        RETURNING screening_passed
+      `;
+
+      if (result[0].screening_passed) {
+        return res.status(200).json({ eligible: true });
+      }
+
+      const outcome = await recordOutcome(sql, session_id, 'screened_out');
+      return res.status(200).json({
+        eligible: false,
+        outcome: outcome.outcome,
+        redirect_url: completionUrl(outcome.outcome, outcome.experiment_name, CONFIG, process.env)
+      });
+    }
+  }
+});
@@ -1,51 +1,168 @@
-import { neon } from '@neondatabase/serverless';
+import CONFIG from '../config.js';
+import { secretsEqual } from '../lib/auth.js';
+import { createSql } from '../lib/db.js';
+import { HttpError, createHandler } from '../lib/handler.js';
+import { CLIENT_OUTCOMES, completionUrl } from '../lib/outcomes.js';
+import { createSessionPlan, getTrialPlan, saveTrialPlan } from '../lib/plans.js';
+import { createSessionToken, verifySessionToken } from '../lib/session-token.js';
+import { loadProducts } from '../lib/stimuli.js';
+import { validateTrialPlan } from '../lib/trial-plan.js';
 
-const sql = neon(process.env.POSTGRES_URL);
+const sql = createSql();
 
-export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// Token the browser sends with every write to this session
+function sessionToken(sessionId) {
+  return createSessionToken(sessionId, process.env.SESSION_TOKEN_SECRET);
+}
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+// Whether a request may take over a session: it carries the session's token
+// (kept in the browser's snapshot) or the Prolific SESSION_ID the session was
+// started with. The prolific_pid alone isn't enough, since it's in every
+// study URL.
+function provesSession(session, { session_token, session_id_param }) {
+  if (verifySessionToken(session_token, session.session_id, process.env.SESSION_TOKEN_SECRET)) {
+    return true;
   }
+  return Boolean(session.session_id_param && session_id_param) && secretsEqual(session_id_param, session.session_id_param);
+}
 
-  if (req.method === 'POST') {
-    // Create a new session
-    const { prolific_pid, study_id, session_id_param, experiment_name, user_agent } = req.body;
+// The participant's most recent unfinished session that the request proves
+// it owns, or null. Sessions the participant ended themselves (declined
+// consent, withdrew) are over even though they never reached completion, so
+// consenting afterwards starts afresh; screened-out ones are handed back, so
+// they stay screened out.
+async function findResumableSession({ prolific_pid, experiment_name, ...proof }) {
+  const sessions = await sql`
+    SELECT session_id, session_id_param, started_at FROM sessions
+    WHERE prolific_pid = ${prolific_pid}
+      AND experiment_name = ${experiment_name}
+      AND completed_at IS NULL
+      AND (outcome IS NULL OR outcome <> ALL(${CLIENT_OUTCOMES}::text[]))
+    ORDER BY started_at DESC
+  `;
+  return sessions.find(session => provesSession(session, proof)) || null;
+}
 
-    if (!experiment_name) {
-      return res.status(400).json({ error: 'experiment_name is required' });
-    }
+export default createHandler(sql, {
+  // Create a new session
+  POST: {
+    body: {
+      experiment_name: { type: 'string', required: true },
+      prolific_pid: { type: 'string' },
+      study_id: { type: 'string' },
+      session_id_param: { type: 'string' },
+      // The token of the session being resumed, if the browser still has it
+      session_token: { type: 'string' },
+      user_agent: { type: 'string' },
+      trial_plan: { type: 'object' },
+      consent: { type: 'boolean' }
+    },
+    failure: 'Failed to create session',
+    run: async ({ body, res }) => {
+      const { prolific_pid, study_id, session_id_param, session_token, experiment_name, user_agent, trial_plan, consent } = body;
+
+      // Fail before creating anything if the session couldn't be given a token
+      if (!process.env.SESSION_TOKEN_SECRET) {
+        throw new Error('SESSION_TOKEN_SECRET is not set');
+      }
+
+      // A client may supply its own plan; check it against the stimulus set when we have it
+      if (trial_plan) {
+        const productIds = await loadProducts(experiment_name)
+          .then(products => products.map(p => p.id))
+          .catch(() => null);
+        const planError = validateTrialPlan(trial_plan, productIds);
+        if (planError) {
+          throw new HttpError(400, planError, [{ field: 'trial_plan', message: planError }]);
+        }
+      }
+
+      // Declining consent is recorded as its own session (no plan or pair
+      // assignment) so it gets the no_consent outcome and completion code
+      if (consent === false) {
+        const result = await sql`
+          INSERT INTO sessions (prolific_pid, study_id, session_id_param, experiment_name, user_agent, outcome, outcome_at)
+          VALUES (${prolific_pid || null}, ${study_id || null}, ${session_id_param || null}, ${experiment_name}, ${user_agent || null}, 'no_consent', NOW())
+          RETURNING session_id
+        `;
+
+        return res.status(201).json({
+          session_id: result[0].session_id,
+          session_token: sessionToken(result[0].session_id),
+          outcome: 'no_consent',
+          redirect_url: completionUrl('no_consent', experiment_name, CONFIG, process.env)
+        });
+      }
+
+      // A participant who reloads gets their unfinished session back instead of
+      // a second row, with a fresh token, if they can show it's theirs
+      if (prolific_pid) {
+        const existing = await findResumableSession({ prolific_pid, experiment_name, session_token, session_id_param });
+
+        if (existing) {
+          const sessionId = existing.session_id;
+          const plan = await getTrialPlan(sql, sessionId);
+          return res.status(200).json({ session_id: sessionId, session_token: sessionToken(sessionId), trial_plan: plan, resumed: true });
+        }
+      }
 
-    try {
       const result = await sql`
         INSERT INTO sessions (prolific_pid, study_id, session_id_param, experiment_name, user_agent)
         VALUES (${prolific_pid || null}, ${study_id || null}, ${session_id_param || null}, ${experiment_name}, ${user_agent || null})
         RETURNING session_id
       `;
 
-      return res.status(201).json({ session_id: result[0].session_id });
-    } catch (error) {
-      console.error('Failed to create session:', error);
-      return res.status(500).json({ error: 'Failed to create session' });
-    }
-  }
+      const sessionId = result[0].session_id;
 
-  if (req.method === 'GET') {
-    // Check if a participant has already completed the study
-    const { prolific_pid } = req.query;
+      // Fix the trial sequence now so it can be audited and checked later.
+      // The session is still usable without a plan, so failures here aren't fatal.
+      let plan = null;
+      try {
+        if (trial_plan) {
+          plan = trial_plan;
+          await saveTrialPlan(sql, sessionId, plan, 'client');
+        } else {
+          plan = await createSessionPlan(sql, {
+            sessionId,
+            experimentName: experiment_name,
+            trialType: CONFIG.TRIAL_TYPE,
+            nPairs: CONFIG.N_PAIRS,
+            nTriads: CONFIG.N_TRIADS,
+            catchTrials: CONFIG.CATCH_TRIALS,
+            repeats: CONFIG.REPEAT_TRIALS
+          });
+        }
+      } catch (error) {
+        console.error('Failed to create trial plan:', error);
+        plan = null;
+      }
 
-    if (!prolific_pid) {
-      return res.status(200).json({ exists: false, completed: false });
+      return res.status(201).json({ session_id: sessionId, session_token: sessionToken(sessionId), trial_plan: plan });
     }
+  },
+
+  // Check if a participant has already completed the study, and return
+  // everything needed to resume an unfinished session they can show is
+  // theirs (see provesSession)
+  GET: {
+    query: {
+      prolific_pid: { type: 'string' },
+      experiment_name: { type: 'string' },
+      session_id_param: { type: 'string' },
+      session_token: { type: 'string' }
+    },
+    failure: 'Failed to check session',
+    run: async ({ query, res }) => {
+      const { prolific_pid, experiment_name, session_id_param, session_token } = query;
+
+      if (!prolific_pid) {
+        return res.status(200).json({ exists: false, completed: false });
+      }
 
-    try {
       const result = await sql`
-        SELECT session_id, completed_at FROM sessions
+        SELECT session_id, started_at, completed_at FROM sessions
         WHERE prolific_pid = ${prolific_pid}
+          AND (${experiment_name || null}::text IS NULL OR experiment_name = ${experiment_name || null})
         ORDER BY started_at DESC
         LIMIT 1
       `;
@@ -54,16 +171,37 @@ export default async function handler(req, res) {
         return res.status(200).json({ exists: false, completed: false });
       }
 
+      if (result[0].completed_at !== null) {
+        return res.status(200).json({
+          exists: true,
+          completed: true,
+          session_id: result[0].session_id
+        });
+      }
+
+      const session = experiment_name
+        ? await findResumableSession({ prolific_pid, experiment_name, session_token, session_id_param })
+        : null;
+      if (!session) {
+        return res.status(200).json({ exists: true, completed: false });
+      }
+
+      const plan = await getTrialPlan(sql, session.session_id);
+      const trials = await sql`
+        SELECT trial_number, pair_id, position, rating, response_time_ms, is_catch_trial
+        FROM trials
+        WHERE session_id = ${session.session_id}
+        ORDER BY trial_number
+      `;
+
       return res.status(200).json({
         exists: true,
-        completed: result[0].completed_at !== null,
-        session_id: result[0].session_id
+        completed: false,
+        session_id: session.session_id,
+        started_at: session.started_at,
+        trial_plan: plan,
+        trials
       });
-    } catch (error) {
-      console.error('Failed to check session:', error);
-      return res.status(500).json({ error: 'Failed to check session' });
     }
   }
-
-  return res.status(405).json({ error: 'Method not allowed' });
-}
+});
@@ -1,64 +1,43 @@
-import { neon } from '@neondatabase/serverless';
-
-const sql = neon(process.env.POSTGRES_URL);
-
-export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const { session_id, trial_number, pair_id, position, left_product_id, right_product_id, rating, response_time_ms, is_catch_trial } = req.body;
-
-  // Validate required fields
-  if (!session_id || trial_number === undefined || !pair_id || !position || rating === undefined || response_time_ms === undefined) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-
-  // Validate UUID format
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  if (!uuidRegex.test(session_id)) {
-    return res.status(400).json({ error: 'Invalid session_id format' });
-  }
-
-  // Validate rating range
-  if (typeof rating !== 'number' || rating < 0 || rating > 100) {
-    return res.status(400).json({ error: 'Rating must be between 0 and 100' });
-  }
-
-  // Validate position
-  if (!['AB', 'BA'].includes(position)) {
-    return res.status(400).json({ error: 'Position must be AB or BA' });
-  }
-
-  try {
-    // Store left/right product IDs in the data JSONB column
-    const data = left_product_id && right_product_id
-      ? { left_product_id, right_product_id }
-      : null;
-
-    await sql`
-      INSERT INTO trials (session_id, trial_number, pair_id, position, rating, response_time_ms, is_catch_trial, data)
-      VALUES (${session_id}, ${trial_number}, ${pair_id}, ${position}, ${rating}, ${response_time_ms}, ${is_catch_trial || false}, ${data ? JSON.stringify(data) : null})
-    `;
-
-    return res.status(201).json({ success: true });
-  } catch (error) {
-    console.error('Failed to record trial:', error);
-
-    // Check for duplicate trial
-    if (error.code === '23505') {
-      return res.status(409).json({ error: 'Trial already recorded' });
+import { createSql } from '../lib/db.js';
+import { HttpError, createHandler } from '../lib/handler.js';
+import { isStoredSubmission } from '../lib/idempotency.js';
+import { getTrialPlan } from '../lib/plans.js';
+import { checkSubmissionAgainstPlan, trialRow, validateTrialSubmission } from '../lib/trial-submission.js';
+
+const sql = createSql();
+
+// Record one trial: a rated pair, or with trial_type 'triad' an "odd one out"
+// choice (its items and the chosen one go in the data JSONB column)
+export default createHandler(sql, {
+  POST: {
+    validate: validateTrialSubmission,
+    write: true,
+    failure: 'Failed to record trial',
+    run: async ({ body, res }) => {
+      // Reject submissions that don't match the plan fixed at session creation
+      const plan = await getTrialPlan(sql, body.session_id);
+      const planError = plan && checkSubmissionAgainstPlan(plan, body);
+      if (planError) {
+        throw new HttpError(400, planError);
+      }
+
+      const row = trialRow(body);
+      const inserted = await sql`
+        INSERT INTO trials (session_id, trial_number, pair_id, position, rating, scale_type, scale_min, scale_max, response_time_ms, is_catch_trial, data, idempotency_key)
+        VALUES (${row.session_id}, ${row.trial_number}, ${row.pair_id}, ${row.position}, ${row.rating}, ${row.scale_type}, ${row.scale_min}, ${row.scale_max}, ${row.response_time_ms}, ${row.is_catch_trial}, ${row.data}, ${row.idempotency_key})
+        ON CONFLICT (session_id, trial_number) DO NOTHING
+        RETURNING trial_number
+      `;
+
+      if (inserted.length > 0) {
+        return res.status(201).json({ success: true });
+      }
+
+      // Already recorded; a retry of the stored submission is a success
+      if (await isStoredSubmission(sql, row.session_id, row.trial_number, row.idempotency_key)) {
+        return res.status(200).json({ success: true, duplicate: true });
+      }
+      throw new HttpError(409, 'Trial already recorded');
     }
-
-    return res.status(500).json({ error: 'Failed to record trial' });
   }
-}
+});
@@ -0,0 +1,86 @@
+import { createSql } from '../../lib/db.js';
+import { createHandler } from '../../lib/handler.js';
+import { getTrialPlan } from '../../lib/plans.js';
+import { checkSubmissionAgainstPlan, trialRow, validateTrialSubmission } from '../../lib/trial-submission.js';
+
+const sql = createSql();
+
+const MAX_BATCH_TRIALS = 1000;
+
+// Record several trials of one session in a single insert. Each trial is
+// checked exactly as POST /api/trial does and gets its own status: created,
+// duplicate (already stored) or invalid (with the problems).
+export default createHandler(sql, {
+  POST: {
+    body: {
+      session_id: { type: 'uuid', required: true },
+      trials: { type: 'array', required: true, min: 1, max: MAX_BATCH_TRIALS }
+    },
+    write: true,
+    failure: 'Failed to record trial batch',
+    run: async ({ body, res }) => {
+      const { session_id, trials } = body;
+      const plan = await getTrialPlan(sql, session_id);
+
+      // Trials take the batch's session_id; one naming another session is invalid
+      const seen = new Set();
+      const results = trials.map((trial, index) => {
+        const submission = { ...trial, session_id };
+        let problems = trial && trial.session_id !== undefined && trial.session_id !== session_id
+          ? [{ field: 'session_id', message: 'Trial belongs to a different session' }]
+          : validateTrialSubmission(submission);
+        const planError = problems.length === 0 && plan && checkSubmissionAgainstPlan(plan, submission);
+        if (planError) {
+          problems = [{ field: 'trial_number', message: planError }];
+        } else if (problems.length === 0 && seen.has(submission.trial_number)) {
+          problems = [{ field: 'trial_number', message: 'trial_number appears more than once in the batch' }];
+        }
+
+        if (problems.length > 0) {
+          const error = problems.map(p => p.message).join('; ');
+          return { index, trial_number: submission.trial_number ?? null, status: 'invalid', error, fields: problems };
+        }
+        // Only a valid trial claims its trial_number, so an invalid entry can't shadow a later fix
+        seen.add(submission.trial_number);
+        return { index, trial_number: submission.trial_number, row: trialRow(submission) };
+      });
+
+      const rows = results.filter(result => result.row).map(result => result.row);
+      const inserted = rows.length === 0 ? [] : await sql`
+        INSERT INTO trials (session_id, trial_number, pair_id, position, rating, scale_type, scale_min, scale_max, response_time_ms, is_catch_trial, data, idempotency_key)
+        SELECT * FROM unnest(
+          ${rows.map(row => row.session_id)}::uuid[],
+          ${rows.map(row => row.trial_number)}::int[],
+          ${rows.map(row => row.pair_id)}::text[],
+          ${rows.map(row => row.position)}::text[],
+          ${rows.map(row => row.rating)}::int[],
+          ${rows.map(row => row.scale_type)}::text[],
+          ${rows.map(row => row.scale_min)}::int[],
+          ${rows.map(row => row.scale_max)}::int[],
+          ${rows.map(row => row.response_time_ms)}::int[],
+          ${rows.map(row => row.is_catch_trial)}::boolean[],
+          ${rows.map(row => row.data)}::jsonb[],
+          ${rows.map(row => row.idempotency_key)}::text[]
+        )
+        ON CONFLICT (session_id, trial_number) DO NOTHING
+        RETURNING trial_number
+      `;
+
+      // Valid trials that weren't inserted were already stored
+      const created = new Set(inserted.map(row => row.trial_number));
+      const statuses = results.map(({ row, ...result }) => {
+        if (!row) return result;
+        return { ...result, status: created.has(result.trial_number) ? 'created' : 'duplicate' };
+      });
+
+      const count = status => statuses.filter(result => result.status === status).length;
+      return res.status(200).json({
+        session_id,
+        created: count('created'),
+        duplicate: count('duplicate'),
+        invalid: count('invalid'),
+        results: statuses
+      });
+    }
+  }
+});
@@ -1,14 +1,146 @@
 const CONFIG = {
-  N_PAIRS: 30, // Number of regular product pairs (plus 1 catch trial = 31 total)
+  TRIAL_TYPE: 'pair', // 'pair' (rate two products), 'triad' (pick the odd one out of three)
+  // or 'arrangement' (drag all products on a canvas so similar ones are close together)
+  N_PAIRS: 30, // Number of regular product pairs (catch trials are added on top)
+  N_TRIADS: 30, // Number of triads when TRIAL_TYPE is 'triad'
   EXPERIMENT_NAME: '25-word', // Which JSON file to load from stimuli/
   MAX_DESCRIPTION_WORDS: 50, // Word limit for generated descriptions
 
+  // Page flow: the steps participants go through, in order. Each step shows
+  // the element with id "<page>-page" from index.html. A step with a `when`
+  // condition is skipped unless it returns true for { prolificPid, studyId, sessionIdParam },
+  // e.g. { page: 'screening', when: ({ prolificPid }) => !prolificPid } to skip
+  // screening for Prolific participants who were pre-screened there.
+  // Extra pages (a break screen, a post-task questionnaire) can be added to the
+  // flow by adding the page to index.html with a <button data-flow-next> to continue.
+  FLOW: [
+    { page: 'consent' },
+    { page: 'screening' },
+    { page: 'instructions' },
+    { page: 'trials' },
+    { page: 'demographics' },
+    { page: 'complete' },
+  ],
+
+  // Response widget on the trial page:
+  // - slider: 0-100 slider with numeric feedback ({ min, max, start, labels })
+  // - likert: N-point radio scale ({ points: 7, labels })
+  // - vas: visual analogue scale, 0-100, no numbers and no default position ({ labels })
+  // - binary: "different kind" (0) / "same kind" (1) choice ({ labels })
+  RESPONSE_WIDGET: { type: 'slider' },
+
+  // Catch trials mixed into the regular pairs. Each type has its own count and pass criterion
+  // (ratings and targets are in the response widget's scale units):
+  // - identical: same product on both sides, passes if rated >= minRating
+  // - instructed: participant is told to give a specific rating, passes if within tolerance of target
+  //   ({target} in the instruction is replaced with the target value)
+  // - dissimilar: obviously different anchor pairs (product IDs), passes if rated <= maxRating
+  // The default is the original single identical pair; raise a count to add the other types.
+  CATCH_TRIALS: {
+    identical: { count: 1, minRating: 80 },
+    instructed: {
+      count: 0,
+      target: 12,
+      tolerance: 2,
+      instruction: 'To show you are paying attention, please ignore these products and move the slider to {target}.'
+    },
+    dissimilar: { count: 0, maxRating: 30, pairs: [] },
+  },
+
+  // Share of catch trials a participant must pass (1 = all of them)
+  ATTENTION_PASS_SCORE: 1,
+
+  // Interaction telemetry: each trial's response changes (with timestamps),
+  // first-movement latency, direction reversals and window blur / tab switches
+  // go in the trial's data JSONB; tab switches and time away for the whole
+  // page are stored with the session
+  TELEMETRY: true,
+
+  // Trial submissions are queued in localStorage and retried with backoff until
+  // the server acknowledges them. At the end the completion page waits up to
+  // this long for the queue to empty before redirecting.
+  OUTBOX_FLUSH_TIMEOUT_MS: 15000,
+
+  // Test-retest trials: re-present `count` random regular pairs later in the sequence
+  // with left/right swapped, at least `minGap` trials after the original
+  REPEAT_TRIALS: { count: 0, minGap: 5 },
+
   // Prolific completion URL - participants redirect here after completing
   // Format: https://app.prolific.com/submissions/complete?cc=XXXXXXXX
   PROLIFIC_COMPLETION_URL: '',
 
+  // Completion code (or full URL) per outcome, per experiment_name. The server
+  // decides each session's outcome and redirects to the matching code:
+  // completed, failed_attention, screened_out, no_consent, returned.
+  // Missing codes for completed and failed_attention fall back to
+  // PROLIFIC_COMPLETION_URL, screened_out to SCREENING_FAIL_URL; no_consent and
+  // returned have no fallback.
+  COMPLETION_CODES: {
+    '25-word': {
+      completed: '',
+      failed_attention: '',
+      screened_out: '',
+      no_consent: '',
+      returned: '',
+    },
+  },
+
+  // Screening questions and the eligibility rule (a "screening" key in the
+  // stimulus JSON takes precedence). Rules: { question, equals } or
+  // { question, in: [...] }, combined with { all: [...] }, { any: [...] }, { not: rule }
+  SCREENING: {
+    questions: [
+      {
+        id: 'shopping',
+        text: 'How often do you shop online?',
+        options: [
+          { value: 'never', label: 'Never' },
+          { value: 'rarely', label: 'Rarely' },
+          { value: 'monthly', label: 'A few times a month' },
+          { value: 'weekly', label: 'Weekly or more' },
+        ],
+      },
+      {
+        id: 'coffee',
+        text: 'Do you drink coffee?',
+        options: [
+          { value: 'yes', label: 'Yes' },
+          { value: 'no', label: 'No' },
+        ],
+      },
+      {
+        id: 'reviews',
+        text: 'Do you typically read product reviews before making a purchase?',
+        options: [
+          { value: 'always', label: 'Always' },
+          { value: 'usually', label: 'Usually' },
+          { value: 'sometimes', label: 'Sometimes' },
+          { value: 'never', label: 'Never' },
+        ],
+      },
+    ],
+    eligibility: { question: 'coffee', equals: 'yes' },
+  },
+
+  // Comprehension-check attempts allowed before the participant is screened out
+  // (same redirect as failing screening); null for unlimited retries
+  COMPREHENSION_MAX_ATTEMPTS: 3,
+
   // URL to redirect if participant fails screening (set to Prolific redirect URL)
   SCREENING_FAIL_URL: null,
+
+  // Participant exclusion rules per experiment_name, applied by POST /api/exclusions
+  // and scripts/exclusions.js. Ratings are rescaled to 0-100 as in /api/matrix;
+  // leave a rule out to turn it off.
+  EXCLUSION_RULES: {
+    '25-word': {
+      incomplete: true, // Session never completed
+      minCatchRating: 80, // An identical-pair catch trial rated below this
+      minMedianResponseMs: 1000, // Median response_time_ms of the regular trials below this
+      maxSameRatingShare: 0.8, // Share of regular trials given the single most common rating above this
+      minGroupCorrelation: 0.2, // Correlation with the leave-one-out group mean below this
+    },
+  },
 };
 
 export default CONFIG;
@@ -1,4 +1,10 @@
 import CONFIG from './config.js';
+import { nextStepIndex, resumeStepIndex, stepNeedsSession } from './lib/flow.js';
+import { createOutbox } from './lib/outbox.js';
+import { evaluateRule, resolveScreening } from './lib/screening.js';
+import { MAX_FOCUS_EVENTS, MAX_TRAJECTORY_SAMPLES } from './lib/telemetry.js';
+import { buildArrangementPlan, buildTrialPlan, buildTriadPlan, randomSeed } from './lib/trial-plan.js';
+import { createResponseWidget } from './widgets/index.js';
 
 // Adjust zoom for smaller viewports (laptops)
 function adjustZoomForViewport() {
@@ -17,43 +23,77 @@ adjustZoomForViewport();
 window.addEventListener('resize', adjustZoomForViewport);
 
 let products = [];
+let screening = null;
+let comprehensionAttempts = 0;
 let trials = [];
+let trialPlan = null;
 let currentTrial = 0;
 let results = [];
 let startTime = null;
-let sliderMoved = false;
+let responseWidget = null;
+let triadChoice = null;
+
+// Index of the current step in CONFIG.FLOW
+let flowIndex = -1;
+
+// Spatial arrangement: each item's position as fractions of the canvas width/height
+let arrangementPositions = new Map();
+let arrangementMoved = new Set();
 
 // New state for database integration
 let sessionId = null;
+// Signed by the server for this session; every write must carry it
+let sessionToken = null;
 let prolificPid = null;
 let studyId = null;
 let sessionIdParam = null;
 let trialStartTime = null;
 
+// Interaction telemetry (CONFIG.TELEMETRY): the current trial's response
+// changes and focus events, and page-level focus loss for the whole session
+let trialTelemetry = null;
+const pageTelemetry = { tab_switches: 0, time_away_ms: 0, blur_count: 0, time_blurred_ms: 0 };
+let hiddenSince = null;
+let blurredSince = null;
+
 // localStorage key for tracking completion
 const COMPLETION_KEY = 'similarity_experiment_completed';
 
+// localStorage key for trial submissions not yet acknowledged by the server
+const OUTBOX_KEY = 'similarity_experiment_outbox';
+
+// sessionStorage key for resuming after a refresh
+const RESUME_KEY = 'similarity_experiment_state';
+
 // DOM elements
-const consentPage = document.getElementById('consent-page');
+// Pages shown outside the generic flow steps
 const noConsentPage = document.getElementById('no-consent-page');
 const alreadyCompletedPage = document.getElementById('already-completed-page');
-const screeningPage = document.getElementById('screening-page');
 const screeningFailedPage = document.getElementById('screening-failed-page');
-const instructionsPage = document.getElementById('instructions-page');
 const trialPage = document.getElementById('trial-page');
-const demographicsPage = document.getElementById('demographics-page');
+const arrangementPage = document.getElementById('arrangement-page');
 const completePage = document.getElementById('complete-page');
+const withdrawnPage = document.getElementById('withdrawn-page');
 
 const consentBtn = document.getElementById('consent-btn');
 const noConsentBtn = document.getElementById('no-consent-btn');
+const withdrawBtns = document.querySelectorAll('.withdraw-btn');
 const screeningContinueBtn = document.getElementById('screening-continue-btn');
 const comprehensionError = document.getElementById('comprehension-error');
 const screeningRedirectMessage = document.getElementById('screening-redirect-message');
+const noConsentRedirectMessage = document.getElementById('no-consent-redirect-message');
+const withdrawnRedirectMessage = document.getElementById('withdrawn-redirect-message');
+const screeningQuestions = document.getElementById('screening-questions');
 const startBtn = document.getElementById('start-btn');
 const nextBtn = document.getElementById('next-btn');
+const arrangementSubmitBtn = document.getElementById('arrangement-submit-btn');
 const demographicsSubmitBtn = document.getElementById('demographics-submit-btn');
 
 const progressText = document.getElementById('progress-text');
+const trialHeading = document.getElementById('trial-heading');
+const productPair = document.querySelector('.product-pair');
+const productTriad = document.getElementById('product-triad');
+const triadCards = document.querySelectorAll('.triad-card');
 const productLeftImg = document.getElementById('product-left-img');
 const productLeftName = document.getElementById('product-left-name');
 const productLeftPrice = document.getElementById('product-left-price');
@@ -62,8 +102,9 @@ const productRightImg = document.getElementById('product-right-img');
 const productRightName = document.getElementById('product-right-name');
 const productRightPrice = document.getElementById('product-right-price');
 const productRightDesc = document.getElementById('product-right-desc');
-const slider = document.getElementById('similarity-slider');
-const sliderValue = document.getElementById('slider-value');
+const catchInstruction = document.getElementById('catch-instruction');
+const responseWidgetContainer = document.getElementById('response-widget');
+const arrangementCanvas = document.getElementById('arrangement-canvas');
 const ageInput = document.getElementById('age-input');
 const genderSelect = document.getElementById('gender-select');
 const redirectMessage = document.getElementById('redirect-message');
@@ -108,8 +149,68 @@ function markAsCompletedLocally() {
   }
 }
 
-// Create a new session on the server
-async function createSession() {
+// Save enough state to pick up where the participant left off after a refresh
+function saveResumeSnapshot(stage) {
+  try {
+    sessionStorage.setItem(RESUME_KEY, JSON.stringify({
+      experimentName: CONFIG.EXPERIMENT_NAME,
+      sessionId,
+      sessionToken,
+      trialPlan,
+      currentTrial,
+      startTime,
+      stage
+    }));
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+function loadResumeSnapshot() {
+  try {
+    const snapshot = JSON.parse(sessionStorage.getItem(RESUME_KEY));
+    return snapshot && snapshot.experimentName === CONFIG.EXPERIMENT_NAME ? snapshot : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearResumeSnapshot() {
+  try {
+    sessionStorage.removeItem(RESUME_KEY);
+  } catch (e) {
+    // sessionStorage might be disabled
+  }
+}
+
+// Fetch this participant's unfinished session (plan and recorded trials) from
+// the server. It's only handed over with proof that it's ours: the snapshot's
+// token, or the Prolific SESSION_ID it was started with.
+async function fetchResumableSession(snapshot) {
+  if (!prolificPid) return null;
+
+  try {
+    const params = new URLSearchParams({
+      prolific_pid: prolificPid,
+      experiment_name: CONFIG.EXPERIMENT_NAME
+    });
+    if (sessionIdParam) params.set('session_id_param', sessionIdParam);
+    if (snapshot && snapshot.sessionToken) params.set('session_token', snapshot.sessionToken);
+    const response = await fetch(`/api/session?${params}`);
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return data.exists && !data.completed && data.session_id ? data : null;
+  } catch (e) {
+    console.error('Failed to check for an unfinished session:', e);
+    return null;
+  }
+}
+
+// Ask the server for a session: a new one, or this participant's unfinished
+// one if the SESSION_ID param shows it's theirs. Returns { session_id,
+// session_token, trial_plan }, or null.
+async function requestSession() {
   try {
     const response = await fetch('/api/session', {
       method: 'POST',
@@ -124,37 +225,202 @@ async function createSession() {
     });
 
     const data = await response.json();
-    if (data.session_id) {
-      sessionId = data.session_id;
-      return true;
-    }
-    return false;
+    return data.session_id && data.session_token ? data : null;
   } catch (e) {
     console.error('Failed to create session:', e);
-    return false;
+    return null;
   }
 }
 
+// Create a new session on the server
+async function createSession() {
+  const data = await requestSession();
+  if (!data) return false;
+
+  sessionId = data.session_id;
+  sessionToken = data.session_token;
+  trialPlan = data.trial_plan || null;
+  return true;
+}
+
+// Ask the server for this session's pairs (least-covered pairs first)
+async function fetchAssignment() {
+  try {
+    const params = new URLSearchParams({
+      session_id: sessionId,
+      session_token: sessionToken,
+      experiment_name: CONFIG.EXPERIMENT_NAME,
+      n_pairs: CONFIG.N_PAIRS
+    });
+    const response = await fetch(`/api/assignment?${params}`);
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return Array.isArray(data.pair_ids) ? data.pair_ids : null;
+  } catch (e) {
+    console.error('Failed to fetch pair assignment:', e);
+    return null;
+  }
+}
+
+// Trial submissions are queued (in localStorage, so they survive a reload) and
+// retried in the background until the server acknowledges them
+const outbox = createOutbox({
+  storage: localStorage,
+  storageKey: OUTBOX_KEY,
+  send: async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.status;
+  },
+  // Several queued trials of one session go to /api/trials/batch in one request
+  sendBatch: async (url, bodies) => {
+    const sessionIds = new Set(bodies.map(body => body.session_id));
+    if (url !== '/api/trial' || sessionIds.size > 1) return null;
+
+    const response = await fetch('/api/trials/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session_id: bodies[0].session_id, session_token: bodies[0].session_token, trials: bodies })
+    });
+    if (!response.ok) return bodies.map(() => response.status);
+
+    // Per-trial results as the statuses /api/trial would have returned
+    const { results } = await response.json();
+    return results.map(result => ({ created: 201, duplicate: 409, invalid: 400 })[result.status]);
+  },
+  createId: () => crypto.randomUUID(),
+  onDrop: (item, status) => console.error(`Server rejected ${item.url} (${status}):`, item.body)
+});
+
 // Record a trial response to the server
-async function recordTrialToServer(trialData) {
+function recordTrialToServer(trialData) {
+  const body = trialData.trialType === 'triad'
+    ? {
+      session_id: sessionId,
+      session_token: sessionToken,
+      trial_number: trialData.trialNumber,
+      trial_type: 'triad',
+      items: trialData.items,
+      odd_one_out: trialData.oddOneOut,
+      response_time_ms: trialData.responseTime,
+      telemetry: trialData.telemetry
+    }
+    : {
+      session_id: sessionId,
+      session_token: sessionToken,
+      trial_number: trialData.trialNumber,
+      pair_id: trialData.pairId,
+      position: trialData.position,
+      left_product_id: trialData.leftProductId,
+      right_product_id: trialData.rightProductId,
+      rating: trialData.rating,
+      scale_type: trialData.scale.type,
+      scale_min: trialData.scale.min,
+      scale_max: trialData.scale.max,
+      response_time_ms: trialData.responseTime,
+      is_catch_trial: trialData.isCatchTrial,
+      catch_type: trialData.catchType,
+      target: trialData.target,
+      repeat_of: trialData.repeatOf,
+      telemetry: trialData.telemetry
+    };
+
+  outbox.enqueue('/api/trial', body);
+}
+
+// Record the final spatial arrangement to the server
+function recordArrangementToServer(arrangement) {
+  outbox.enqueue('/api/arrangement', {
+    session_id: sessionId,
+    session_token: sessionToken,
+    trial_number: arrangement.trialNumber,
+    positions: arrangement.positions,
+    canvas_width: arrangement.canvasWidth,
+    canvas_height: arrangement.canvasHeight,
+    response_time_ms: arrangement.responseTime,
+    telemetry: arrangement.telemetry
+  });
+}
+
+// Send screening answers; the server decides eligibility. Returns { eligible, redirect_url },
+// or null if it can't be reached.
+async function submitScreeningToServer(answers) {
   try {
-    await fetch('/api/trial', {
+    const response = await fetch('/api/screening', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         session_id: sessionId,
-        trial_number: trialData.trialNumber,
-        pair_id: trialData.pairId,
-        position: trialData.position,
-        left_product_id: trialData.leftProductId,
-        right_product_id: trialData.rightProductId,
-        rating: trialData.rating,
-        response_time_ms: trialData.responseTime,
-        is_catch_trial: trialData.isCatchTrial
+        session_token: sessionToken,
+        answers
       })
     });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return typeof data.eligible === 'boolean' ? data : null;
   } catch (e) {
-    console.error('Failed to record trial:', e);
+    console.error('Failed to record screening:', e);
+    return null;
+  }
+}
+
+// Log a comprehension-check attempt. Returns the server's { attempts, screened_out, redirect_url },
+// or null if it can't be reached.
+async function recordComprehensionToServer(attempt) {
+  try {
+    const response = await fetch('/api/comprehension', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        session_id: sessionId,
+        session_token: sessionToken,
+        answers: attempt.answers,
+        incorrect: attempt.incorrect
+      })
+    });
+    if (!response.ok) return null;
+
+    return await response.json();
+  } catch (e) {
+    console.error('Failed to record comprehension attempt:', e);
+    return null;
+  }
+}
+
+// Record an outcome the participant chose (no_consent or returned). Returns the
+// redirect URL for it, or null.
+async function recordOutcomeToServer(outcome) {
+  try {
+    // Declining consent happens before there is a session, so it creates one
+    const response = sessionId
+      ? await fetch('/api/outcome', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session_id: sessionId, session_token: sessionToken, outcome, telemetry: getPageTelemetry() })
+      })
+      : await fetch('/api/session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          prolific_pid: prolificPid,
+          study_id: studyId,
+          session_id_param: sessionIdParam,
+          experiment_name: CONFIG.EXPERIMENT_NAME,
+          user_agent: navigator.userAgent,
+          consent: false
+        })
+      });
+
+    const data = await response.json();
+    return data.redirect_url || null;
+  } catch (e) {
+    console.error('Failed to record outcome:', e);
+    return null;
   }
 }
 
@@ -166,6 +432,7 @@ async function saveDemographics(age, gender) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         session_id: sessionId,
+        session_token: sessionToken,
         age: age,
         gender: gender
       })
@@ -175,7 +442,8 @@ async function saveDemographics(age, gender) {
   }
 }
 
-// Complete the session on server
+// Complete the session on server. Returns { outcome, redirect_url }, or null
+// if it can't be reached.
 async function completeSession(totalDuration) {
   try {
     const response = await fetch('/api/complete', {
@@ -183,12 +451,15 @@ async function completeSession(totalDuration) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         session_id: sessionId,
-        total_duration_ms: totalDuration
+        session_token: sessionToken,
+        total_duration_ms: totalDuration,
+        telemetry: getPageTelemetry()
       })
     });
 
-    const data = await response.json();
-    return data.redirect_url || null;
+    if (!response.ok) return null;
+
+    return await response.json();
   } catch (e) {
     console.error('Failed to complete session:', e);
     return null;
@@ -213,6 +484,7 @@ async function init() {
     const response = await fetch(`./stimuli/${CONFIG.EXPERIMENT_NAME}.json`);
     const data = await response.json();
     products = data.products;
+    screening = resolveScreening(data, CONFIG);
   } catch (e) {
     console.error('Failed to load stimuli:', e);
     alert('Failed to load experiment data. Please refresh the page.');
@@ -224,82 +496,218 @@ async function init() {
     return;
   }
 
-  generateTrials();
+  responseWidget = createResponseWidget(CONFIG.RESPONSE_WIDGET, responseWidgetContainer, value => {
+    recordTrajectorySample(value);
+    nextBtn.disabled = false;
+  });
+
+  renderScreeningQuestions();
   setupEventListeners();
+
+  // Send anything left from before a reload first, so resuming sees those trials
+  await outbox.drain(CONFIG.OUTBOX_FLUSH_TIMEOUT_MS);
+
+  const stepIndex = await resumeSession();
+  goToStep(stepIndex === null ? 0 : stepIndex);
 }
 
-// Generate random pairs including one catch trial
-function generateTrials() {
-  const pairs = [];
+// Rebuild state for an interrupted session. Returns the index of the flow
+// step to resume at, or null if there is nothing to resume.
+async function resumeSession() {
+  const snapshot = loadResumeSnapshot();
+  const serverSession = await fetchResumableSession(snapshot);
 
-  // Generate all possible pairs (no self-comparisons)
-  for (let i = 0; i < products.length; i++) {
-    for (let j = i + 1; j < products.length; j++) {
-      pairs.push({ products: [products[i], products[j]], isCatchTrial: false });
-    }
-  }
+  const resumeId = serverSession ? serverSession.session_id : snapshot && snapshot.sessionId;
+  if (!resumeId) return null;
 
-  // Shuffle and take N_PAIRS for regular trials
-  shuffleArray(pairs);
-  const regularTrials = pairs.slice(0, CONFIG.N_PAIRS);
+  const sameSession = Boolean(snapshot) && snapshot.sessionId === resumeId;
 
-  // Create one catch trial (identical product on both sides)
-  const catchProduct = products[Math.floor(Math.random() * products.length)];
-  const catchTrial = { products: [catchProduct, catchProduct], isCatchTrial: true };
+  // Prefer the plan stored on the server; the snapshot keeps the remaining
+  // pairs identical for sessions that don't have one
+  const plan = (serverSession && serverSession.trial_plan) || (sameSession ? snapshot.trialPlan : null);
+  if (!plan) return null;
 
-  // Combine regular trials and catch trial
-  const allTrials = [...regularTrials, catchTrial];
+  const planTrials = planToTrials(plan);
+  if (!planTrials.every(hasAllProducts)) return null;
 
-  // Shuffle again to randomize catch trial position
-  shuffleArray(allTrials);
+  // Writes need the session's token: the snapshot keeps it, otherwise asking
+  // for a session hands this participant's unfinished one back with a new one
+  // (the server found it by SESSION_ID, so it will again)
+  let token = sameSession ? snapshot.sessionToken : null;
+  if (!token && serverSession) {
+    const resumed = await requestSession();
+    token = resumed && resumed.session_id === resumeId ? resumed.session_token : null;
+  }
+  if (!token) return null;
+
+  sessionId = resumeId;
+  sessionToken = token;
+  trialPlan = plan;
+  trials = planTrials;
+
+  if (serverSession) {
+    // Continue at the first pair the server has no rating for
+    const answered = new Set(serverSession.trials.map(t => t.trial_number));
+    currentTrial = trials.findIndex((trial, index) => !answered.has(index + 1));
+    if (currentTrial === -1) currentTrial = trials.length;
+
+    results = serverSession.trials.map(t => ({
+      pairId: t.pair_id,
+      position: t.position,
+      rating: t.rating,
+      responseTime: t.response_time_ms,
+      isCatchTrial: t.is_catch_trial
+    }));
+  } else {
+    currentTrial = snapshot.currentTrial || 0;
+  }
 
-  // Format trials with randomized left/right positions
-  trials = allTrials.map(trial => {
-    const [productA, productB] = trial.products;
+  // The snapshot has the exact start time; otherwise use when the session was created
+  startTime = (sameSession && snapshot.startTime)
+    || (serverSession ? Date.parse(serverSession.started_at) : null);
 
-    // For catch trials, both products are the same, so pairId uses it twice
-    const pairId = trial.isCatchTrial
-      ? `${productA.id}_${productA.id}`
-      : [productA.id, productB.id].sort().join('_');
+  // Steps before the trials start again from the snapshot's step (the
+  // existing session is reused)
+  return resumeStepIndex(CONFIG.FLOW, {
+    currentTrial,
+    trialCount: trials.length,
+    savedPage: sameSession ? snapshot.stage : null
+  });
+}
 
-    // Randomly assign left/right
-    const aOnLeft = Math.random() < 0.5;
-    const leftProduct = aOnLeft ? productA : productB;
-    const rightProduct = aOnLeft ? productB : productA;
+// Generate a trial plan locally (catch trials and repeats included). Uses the
+// server-assigned pairs when available, otherwise shuffles all pairs.
+function generateTrials(assignedPairIds = null) {
+  if (CONFIG.TRIAL_TYPE === 'triad') {
+    trialPlan = buildTriadPlan({
+      productIds: products.map(p => p.id),
+      nTriads: CONFIG.N_TRIADS,
+      seed: randomSeed()
+    });
+    trials = planToTrials(trialPlan);
+    return;
+  }
 
-    // Position is AB if the alphabetically first ID is on the left
-    // This must match how pairId is constructed (alphabetically sorted)
-    const [sortedFirst] = [productA.id, productB.id].sort();
-    const position = leftProduct.id === sortedFirst ? 'AB' : 'BA';
+  if (CONFIG.TRIAL_TYPE === 'arrangement') {
+    trialPlan = buildArrangementPlan({
+      productIds: products.map(p => p.id),
+      seed: randomSeed()
+    });
+    trials = planToTrials(trialPlan);
+    return;
+  }
 
-    return {
-      left: leftProduct,
-      right: rightProduct,
-      pairId: pairId,
-      position: position,
-      isCatchTrial: trial.isCatchTrial
-    };
+  trialPlan = buildTrialPlan({
+    productIds: products.map(p => p.id),
+    pairIds: assignedPairIds,
+    nPairs: CONFIG.N_PAIRS,
+    catchTrials: CONFIG.CATCH_TRIALS,
+    repeats: CONFIG.REPEAT_TRIALS,
+    seed: randomSeed()
   });
+  trials = planToTrials(trialPlan);
 }
 
-function shuffleArray(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+// Turn a plan (product IDs only) into trials with full product details
+function planToTrials(plan) {
+  const productsById = new Map(products.map(p => [p.id, p]));
+
+  return plan.trials.map(trial => trial.trial_type === 'triad' || trial.trial_type === 'arrangement'
+    ? {
+      trialType: trial.trial_type,
+      items: trial.items.map(id => productsById.get(id)),
+      isCatchTrial: false
+    }
+    : {
+      trialType: 'pair',
+      left: productsById.get(trial.left_product_id),
+      right: productsById.get(trial.right_product_id),
+      pairId: trial.pair_id,
+      position: trial.position,
+      isCatchTrial: trial.is_catch_trial,
+      catchType: trial.catch_type || null,
+      target: trial.target,
+      repeatOf: trial.repeat_of || null
+    });
+}
+
+function hasAllProducts(trial) {
+  return trial.trialType === 'pair'
+    ? Boolean(trial.left && trial.right)
+    : trial.items.every(Boolean);
+}
+
+// Use the plan stored with the session if it matches our stimuli,
+// otherwise fall back to the pair assignment / local shuffling
+async function prepareTrials() {
+  if (trialPlan) {
+    const planTrials = planToTrials(trialPlan);
+    if (planTrials.every(hasAllProducts)) {
+      trials = planTrials;
+      return;
+    }
+    console.error('Trial plan references unknown products, generating locally');
   }
+
+  const assignedPairIds = CONFIG.TRIAL_TYPE === 'pair' ? await fetchAssignment() : null;
+  generateTrials(assignedPairIds);
+}
+
+// Screening questions from the stimulus JSON or CONFIG.SCREENING
+function renderScreeningQuestions() {
+  screeningQuestions.innerHTML = '';
+
+  screening.questions.forEach((question, index) => {
+    const container = document.createElement('div');
+    container.className = 'screening-question';
+
+    const text = document.createElement('p');
+    text.className = 'question-text';
+    text.textContent = `${index + 1}. ${question.text}`;
+
+    const options = document.createElement('div');
+    options.className = 'options';
+    question.options.forEach(option => {
+      const label = document.createElement('label');
+      label.className = 'option';
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = `screening-${question.id}`;
+      input.value = option.value;
+      const span = document.createElement('span');
+      span.textContent = option.label;
+      label.append(input, span);
+      options.appendChild(label);
+    });
+
+    container.append(text, options);
+    screeningQuestions.appendChild(container);
+  });
+}
+
+function getScreeningAnswers() {
+  const answers = {};
+  screening.questions.forEach(question => {
+    const selected = screeningQuestions.querySelector(`input[name="screening-${question.id}"]:checked`);
+    if (selected) answers[question.id] = selected.value;
+  });
+  return answers;
 }
 
 // Screening validation
 function validateScreening() {
-  const allAnswered = document.querySelectorAll('.screening-question').length ===
-    document.querySelectorAll('.screening-questions input:checked').length;
+  const allAnswered = Object.keys(getScreeningAnswers()).length === screening.questions.length;
   screeningContinueBtn.disabled = !allAnswered;
   return allAnswered;
 }
 
-function checkScreeningFilter() {
-  const coffeeAnswer = document.querySelector('input[name="sq2"]:checked');
-  return coffeeAnswer && coffeeAnswer.value === 'yes';
+// The server's decision counts; the same rule is applied locally if it can't be reached
+async function checkEligibility() {
+  const answers = getScreeningAnswers();
+  const result = await submitScreeningToServer(answers);
+  return result
+    ? { eligible: result.eligible, redirectUrl: result.redirect_url }
+    : { eligible: evaluateRule(screening.eligibility, answers), redirectUrl: null };
 }
 
 // Comprehension: enable Start button when all answered (don't check correctness yet)
@@ -311,61 +719,89 @@ function enableStartIfAllAnswered() {
   startBtn.disabled = !allAnswered;
 }
 
-// Comprehension: check answers on Start click, show feedback only then
+// Comprehension: check answers on Start click, show feedback only then.
+// Returns the answers given and which questions were wrong.
 function checkComprehension() {
   const questionGroups = document.querySelectorAll('.question-group');
-  let allCorrect = true;
+  const answers = {};
+  const incorrect = [];
 
   questionGroups.forEach((group, index) => {
+    const name = `q${index + 1}`;
     const correctAnswer = group.dataset.correct;
-    const selectedInput = group.querySelector(`input[name="q${index + 1}"]:checked`);
+    const selectedInput = group.querySelector(`input[name="${name}"]:checked`);
 
+    answers[name] = selectedInput.value;
     group.classList.remove('incorrect');
 
     if (selectedInput.value !== correctAnswer) {
       group.classList.add('incorrect');
-      allCorrect = false;
+      incorrect.push(name);
     }
   });
 
-  comprehensionError.classList.toggle('hidden', allCorrect);
-  return allCorrect;
+  comprehensionError.classList.toggle('hidden', incorrect.length === 0);
+  return { answers, incorrect, passed: incorrect.length === 0 };
+}
+
+// Ineligible participants (screening or too many comprehension attempts)
+// leave through the screening-failed page, to the screened_out completion
+// code from the server or SCREENING_FAIL_URL
+function screenOut(redirectUrl = null) {
+  clearResumeSnapshot();
+  showPage(screeningFailedPage);
+  redirectOrClose(redirectUrl || CONFIG.SCREENING_FAIL_URL, screeningRedirectMessage, 2000);
+}
+
+function redirectOrClose(url, messageElement, delay) {
+  if (url) {
+    setTimeout(() => {
+      window.location.href = url;
+    }, delay);
+  } else {
+    messageElement.textContent = 'You may now close this window.';
+  }
+}
+
+async function withdraw() {
+  if (!confirm('Are you sure you want to withdraw from this study?')) return;
+
+  clearResumeSnapshot();
+  showPage(withdrawnPage);
+  const redirectUrl = await recordOutcomeToServer('returned');
+  redirectOrClose(redirectUrl, withdrawnRedirectMessage, 1500);
 }
 
 function setupEventListeners() {
-  consentBtn.addEventListener('click', async () => {
-    // Create session on server when user consents
-    const success = await createSession();
-    if (!success) {
-      alert('Failed to start the experiment. Please refresh and try again.');
-      return;
+  // The session is created on the way to the next step (unless one was resumed)
+  consentBtn.addEventListener('click', nextStep);
+
+  noConsentBtn.addEventListener('click', async () => {
+    showPage(noConsentPage);
+    const redirectUrl = await recordOutcomeToServer('no_consent');
+    if (redirectUrl) {
+      redirectOrClose(redirectUrl, noConsentRedirectMessage, 1500);
     }
-    showPage(screeningPage);
   });
 
-  noConsentBtn.addEventListener('click', () => {
-    showPage(noConsentPage);
+  withdrawBtns.forEach(button => {
+    button.addEventListener('click', withdraw);
   });
 
   // Screening question validation
-  document.querySelectorAll('.screening-questions input').forEach(input => {
-    input.addEventListener('change', validateScreening);
-  });
+  screeningQuestions.addEventListener('change', validateScreening);
 
-  screeningContinueBtn.addEventListener('click', () => {
+  screeningContinueBtn.addEventListener('click', async () => {
     if (!validateScreening()) return;
 
-    if (checkScreeningFilter()) {
-      showPage(instructionsPage);
+    screeningContinueBtn.disabled = true;
+    const { eligible, redirectUrl } = await checkEligibility();
+    screeningContinueBtn.disabled = false;
+
+    if (eligible) {
+      nextStep();
     } else {
-      showPage(screeningFailedPage);
-      if (CONFIG.SCREENING_FAIL_URL) {
-        setTimeout(() => {
-          window.location.href = CONFIG.SCREENING_FAIL_URL;
-        }, 2000);
-      } else {
-        screeningRedirectMessage.textContent = 'You may now close this window.';
-      }
+      screenOut(redirectUrl);
     }
   });
 
@@ -374,32 +810,67 @@ function setupEventListeners() {
     input.addEventListener('change', enableStartIfAllAnswered);
   });
 
-  startBtn.addEventListener('click', () => {
+  startBtn.addEventListener('click', async () => {
     // Check answers on click - only proceed if all correct
-    if (!checkComprehension()) return;
+    const attempt = checkComprehension();
+
+    startBtn.disabled = true;
+    const result = await recordComprehensionToServer(attempt);
+    startBtn.disabled = false;
+
+    // The server counts attempts across reloads; count locally if it can't be reached
+    comprehensionAttempts = result ? result.attempts : comprehensionAttempts + 1;
+    const screenedOut = result
+      ? result.screened_out
+      : !attempt.passed && CONFIG.COMPREHENSION_MAX_ATTEMPTS && comprehensionAttempts >= CONFIG.COMPREHENSION_MAX_ATTEMPTS;
+
+    if (screenedOut) {
+      screenOut(result && result.redirect_url);
+      return;
+    }
+    if (!attempt.passed) return;
+
     startTime = Date.now();
-    showPage(trialPage);
-    showTrial();
+    nextStep();
   });
 
-  nextBtn.addEventListener('click', async () => {
-    await recordResponse();
-    currentTrial++;
+  // Triads: clicking a card picks it as the odd one out
+  triadCards.forEach(card => {
+    card.addEventListener('click', () => {
+      const trial = trials[currentTrial];
+      triadChoice = trial.items[parseInt(card.dataset.index)].id;
+      recordTrajectorySample(triadChoice);
+      triadCards.forEach(c => c.classList.toggle('selected', c === card));
+      nextBtn.disabled = false;
+    });
+  });
 
-    if (currentTrial < trials.length) {
-      showTrial();
-    } else {
-      // Go to demographics page instead of completing
-      showPage(demographicsPage);
-    }
+  // Responses are queued, so the next trial doesn't wait on the network
+  nextBtn.addEventListener('click', () => {
+    recordResponse();
+    advanceTrial();
   });
 
-  slider.addEventListener('input', () => {
-    sliderValue.textContent = slider.value;
-    sliderMoved = true;
-    nextBtn.disabled = false;
+  arrangementSubmitBtn.addEventListener('click', () => {
+    arrangementSubmitBtn.disabled = true;
+    recordArrangement();
+    advanceTrial();
   });
 
+  window.addEventListener('online', () => outbox.flush());
+
+  // Spatial arrangement: drag items with mouse, pen or touch
+  arrangementCanvas.addEventListener('pointerdown', startArrangementDrag);
+
+  // Focus loss: switching tabs hides the page, other windows only blur it
+  if (CONFIG.TELEMETRY) {
+    document.addEventListener('visibilitychange', () => {
+      recordFocusEvent(document.visibilityState === 'hidden' ? 'hidden' : 'visible');
+    });
+    window.addEventListener('blur', () => recordFocusEvent('blur'));
+    window.addEventListener('focus', () => recordFocusEvent('focus'));
+  }
+
   // Demographics form validation
   function validateDemographics() {
     const ageValid = ageInput.value && parseInt(ageInput.value) >= 18 && parseInt(ageInput.value) <= 120;
@@ -418,7 +889,12 @@ function setupEventListeners() {
     const gender = genderSelect.value;
 
     await saveDemographics(age, gender);
-    await complete();
+    nextStep();
+  });
+
+  // Extra pages in the flow continue with a data-flow-next button
+  document.querySelectorAll('[data-flow-next]').forEach(button => {
+    button.addEventListener('click', nextStep);
   });
 
   // Prevent back navigation
@@ -428,17 +904,142 @@ function setupEventListeners() {
   });
 }
 
+function advanceTrial() {
+  currentTrial++;
+
+  if (currentTrial < trials.length) {
+    saveResumeSnapshot('trials');
+    showCurrentTrial();
+  } else {
+    nextStep();
+  }
+}
+
+// Arrangement trials have their own page; pairs and triads share the trial page
+function showCurrentTrial() {
+  if (trials[currentTrial].trialType === 'arrangement') {
+    showPage(arrangementPage);
+    showArrangement(trials[currentTrial]);
+  } else {
+    showPage(trialPage);
+    showTrial();
+  }
+}
+
+// Create the session and its trials once, before the first step after consent
+async function startSession() {
+  if (sessionId) return true;
+
+  const success = await createSession();
+  if (!success) {
+    alert('Failed to start the experiment. Please refresh and try again.');
+    return false;
+  }
+  await prepareTrials();
+  return true;
+}
+
+// Steps that do more than show their page
+const STEP_HANDLERS = {
+  trials: () => {
+    if (!startTime) startTime = Date.now();
+    showCurrentTrial();
+  },
+  complete: () => complete()
+};
+
+// Show the first step at or after `index` whose condition holds, creating
+// the session first if the step needs it (see lib/flow.js)
+async function goToStep(index) {
+  const next = nextStepIndex(CONFIG.FLOW, index, { prolificPid, studyId, sessionIdParam });
+  if (next === -1) return;
+
+  const step = CONFIG.FLOW[next];
+  const { page } = step;
+  if (stepNeedsSession(step) && !(await startSession())) return;
+
+  flowIndex = next;
+  if (sessionId) {
+    saveResumeSnapshot(page);
+  }
+
+  if (STEP_HANDLERS[page]) {
+    STEP_HANDLERS[page]();
+  } else {
+    showPage(document.getElementById(`${page}-page`));
+  }
+}
+
+function nextStep() {
+  goToStep(flowIndex + 1);
+}
+
 function showPage(page) {
-  [consentPage, noConsentPage, alreadyCompletedPage, screeningPage, screeningFailedPage, instructionsPage, trialPage, demographicsPage, completePage].forEach(p => {
+  document.querySelectorAll('.page').forEach(p => {
     p.classList.add('hidden');
   });
   page.classList.remove('hidden');
 }
 
+function startTrialTelemetry() {
+  trialStartTime = Date.now();
+  trialTelemetry = CONFIG.TELEMETRY ? { trajectory: [], focus_events: [] } : null;
+}
+
+// Every response change, timed from the start of the trial
+function recordTrajectorySample(value) {
+  if (!trialTelemetry) return;
+
+  const sample = [Date.now() - trialStartTime, value];
+  const { trajectory } = trialTelemetry;
+  // Past the cap, keep overwriting the last sample so the final value is kept
+  if (trajectory.length < MAX_TRAJECTORY_SAMPLES) {
+    trajectory.push(sample);
+  } else {
+    trajectory[trajectory.length - 1] = sample;
+  }
+}
+
+function recordFocusEvent(type) {
+  const now = Date.now();
+
+  if (trialTelemetry && trialTelemetry.focus_events.length < MAX_FOCUS_EVENTS) {
+    trialTelemetry.focus_events.push({ type, t_ms: now - trialStartTime });
+  }
+
+  if (type === 'hidden' && hiddenSince === null) {
+    pageTelemetry.tab_switches++;
+    hiddenSince = now;
+  } else if (type === 'visible' && hiddenSince !== null) {
+    pageTelemetry.time_away_ms += now - hiddenSince;
+    hiddenSince = null;
+  } else if (type === 'blur' && blurredSince === null) {
+    pageTelemetry.blur_count++;
+    blurredSince = now;
+  } else if (type === 'focus' && blurredSince !== null) {
+    pageTelemetry.time_blurred_ms += now - blurredSince;
+    blurredSince = null;
+  }
+}
+
+// Page-level telemetry so far (since this page load), or undefined when it's off
+function getPageTelemetry() {
+  return CONFIG.TELEMETRY ? { ...pageTelemetry } : undefined;
+}
+
 function showTrial() {
   const trial = trials[currentTrial];
 
+  if (trial.trialType === 'triad') {
+    showTriadTrial(trial);
+    return;
+  }
+
   progressText.textContent = `Pair ${currentTrial + 1} of ${trials.length}`;
+  trialHeading.textContent = 'How similar are these products?';
+  productPair.classList.remove('hidden');
+  productTriad.classList.add('hidden');
+  responseWidgetContainer.classList.remove('hidden');
 
   // Left product
   productLeftImg.src = `./stimuli/${trial.left.image}`;
@@ -454,20 +1055,172 @@ function showTrial() {
   productRightPrice.textContent = trial.right.price;
   productRightDesc.textContent = trial.right.description;
 
-  // Reset slider and disable Next button
-  slider.value = 50;
-  sliderValue.textContent = '50';
-  sliderMoved = false;
+  // Instructed-response catch trials tell the participant which rating to give
+  if (trial.catchType === 'instructed') {
+    const instruction = CONFIG.CATCH_TRIALS.instructed.instruction || 'Please give a rating of {target}.';
+    catchInstruction.textContent = instruction.replace('{target}', trial.target);
+    catchInstruction.classList.remove('hidden');
+  } else {
+    catchInstruction.classList.add('hidden');
+  }
+
+  // Reset the response widget and disable Next button
+  responseWidget.reset();
   nextBtn.disabled = true;
 
-  // Start timing for this trial
-  trialStartTime = Date.now();
+  // Start timing (and telemetry) for this trial
+  startTrialTelemetry();
+}
+
+function showTriadTrial(trial) {
+  progressText.textContent = `Set ${currentTrial + 1} of ${trials.length}`;
+  trialHeading.textContent = 'Which product is the odd one out?';
+  productPair.classList.add('hidden');
+  productTriad.classList.remove('hidden');
+  responseWidgetContainer.classList.add('hidden');
+  catchInstruction.classList.add('hidden');
+
+  trial.items.forEach((product, index) => {
+    const card = triadCards[index];
+    const img = card.querySelector('img');
+    img.src = `./stimuli/${product.image}`;
+    img.alt = product.name;
+    card.querySelector('h3').textContent = product.name;
+    card.querySelector('.price').textContent = product.price;
+    card.querySelector('.description').textContent = product.description;
+    card.classList.remove('selected');
+  });
+
+  // No choice yet, so disable Next button
+  triadChoice = null;
+  nextBtn.disabled = true;
+
+  // Start timing (and telemetry) for this trial
+  startTrialTelemetry();
+}
+
+// Lay the products out in a grid (in plan order) as the starting arrangement
+function showArrangement(trial) {
+  arrangementCanvas.innerHTML = '';
+  arrangementPositions = new Map();
+  arrangementMoved = new Set();
+
+  const columns = Math.ceil(Math.sqrt(trial.items.length * 4 / 3));
+  const rows = Math.ceil(trial.items.length / columns);
+
+  trial.items.forEach((product, index) => {
+    const item = document.createElement('div');
+    item.className = 'arrangement-item';
+    item.dataset.id = product.id;
+
+    const img = document.createElement('img');
+    img.src = `./stimuli/${product.image}`;
+    img.alt = product.name;
+    const label = document.createElement('span');
+    label.textContent = product.name;
+    item.append(img, label);
+    arrangementCanvas.appendChild(item);
+
+    setArrangementPosition(item, {
+      x: (index % columns + 0.5) / columns,
+      y: (Math.floor(index / columns) + 0.5) / rows
+    });
+  });
+
+  arrangementSubmitBtn.disabled = true;
+  startTrialTelemetry();
+}
+
+function setArrangementPosition(item, position) {
+  arrangementPositions.set(item.dataset.id, position);
+  item.style.left = `${position.x * 100}%`;
+  item.style.top = `${position.y * 100}%`;
+}
+
+function startArrangementDrag(event) {
+  const item = event.target.closest('.arrangement-item');
+  if (!item) return;
+
+  event.preventDefault();
+  item.setPointerCapture(event.pointerId);
+  item.classList.add('dragging');
+
+  // Keep the item under the pointer where it was grabbed
+  const itemRect = item.getBoundingClientRect();
+  const offsetX = event.clientX - (itemRect.left + itemRect.width / 2);
+  const offsetY = event.clientY - (itemRect.top + itemRect.height / 2);
+
+  const move = moveEvent => {
+    const rect = arrangementCanvas.getBoundingClientRect();
+    const clamp = value => Math.min(1, Math.max(0, value));
+    setArrangementPosition(item, {
+      x: clamp((moveEvent.clientX - offsetX - rect.left) / rect.width),
+      y: clamp((moveEvent.clientY - offsetY - rect.top) / rect.height)
+    });
+  };
+
+  const end = () => {
+    item.removeEventListener('pointermove', move);
+    item.removeEventListener('pointerup', end);
+    item.removeEventListener('pointercancel', end);
+    item.classList.remove('dragging');
+
+    // Every product has to be placed deliberately before submitting
+    item.classList.add('moved');
+    arrangementMoved.add(item.dataset.id);
+    arrangementSubmitBtn.disabled = arrangementMoved.size < arrangementPositions.size;
+  };
+
+  item.addEventListener('pointermove', move);
+  item.addEventListener('pointerup', end);
+  item.addEventListener('pointercancel', end);
 }
 
-async function recordResponse() {
+function recordArrangement() {
+  const responseTime = Date.now() - trialStartTime;
+  const rect = arrangementCanvas.getBoundingClientRect();
+
+  // Submit positions in canvas-width units so x and y distances are comparable
+  const positions = Array.from(arrangementPositions, ([id, { x, y }]) => ({
+    id,
+    x,
+    y: y * rect.height / rect.width
+  }));
+
+  // Record locally (for redundancy)
+  results.push({ positions, responseTime });
+
+  recordArrangementToServer({
+    trialNumber: currentTrial + 1,
+    positions,
+    canvasWidth: Math.round(rect.width),
+    canvasHeight: Math.round(rect.height),
+    responseTime,
+    telemetry: trialTelemetry
+  });
+}
+
+function recordResponse() {
   const trial = trials[currentTrial];
   const responseTime = Date.now() - trialStartTime;
-  const rating = parseInt(slider.value);
+
+  if (trial.trialType === 'triad') {
+    const items = trial.items.map(product => product.id);
+
+    // Record locally (for redundancy)
+    results.push({ items, oddOneOut: triadChoice, responseTime });
+
+    recordTrialToServer({
+      trialNumber: currentTrial + 1,
+      trialType: 'triad',
+      items,
+      oddOneOut: triadChoice,
+      responseTime,
+      telemetry: trialTelemetry
+    });
+    return;
+  }
+  const rating = responseWidget.getValue();
 
   // Record locally (for redundancy)
   results.push({
@@ -475,33 +1228,49 @@ async function recordResponse() {
     position: trial.position,
     rating: rating,
     responseTime: responseTime,
-    isCatchTrial: trial.isCatchTrial
+    isCatchTrial: trial.isCatchTrial,
+    catchType: trial.catchType
   });
 
   // Send to server immediately
-  await recordTrialToServer({
+  recordTrialToServer({
     trialNumber: currentTrial + 1,
     pairId: trial.pairId,
     position: trial.position,
     leftProductId: trial.left.id,
     rightProductId: trial.right.id,
     rating: rating,
+    scale: responseWidget.scale,
     responseTime: responseTime,
-    isCatchTrial: trial.isCatchTrial
+    isCatchTrial: trial.isCatchTrial,
+    catchType: trial.catchType,
+    target: trial.target,
+    repeatOf: trial.repeatOf,
+    telemetry: trialTelemetry
   });
 }
 
 async function complete() {
   showPage(completePage);
   markAsCompletedLocally();
+  clearResumeSnapshot();
 
   const duration = Date.now() - startTime;
 
-  // Complete session on server and get redirect URL
-  const serverRedirectUrl = await completeSession(duration);
+  // Don't leave the page while trials are still queued, unless the server stays unreachable
+  if (outbox.size() > 0) {
+    const message = redirectMessage.textContent;
+    redirectMessage.textContent = 'Saving your responses…';
+    const saved = await outbox.drain(CONFIG.OUTBOX_FLUSH_TIMEOUT_MS);
+    if (!saved) console.error(`${outbox.size()} responses could not be saved before completing`);
+    redirectMessage.textContent = message;
+  }
+
+  // Complete session on server; it decides the outcome and its redirect URL
+  const result = await completeSession(duration);
 
-  // Use server URL if available, otherwise fall back to config
-  const redirectUrl = serverRedirectUrl || CONFIG.PROLIFIC_COMPLETION_URL;
+  // Fall back to config only if the server couldn't be reached
+  const redirectUrl = result ? result.redirect_url : CONFIG.PROLIFIC_COMPLETION_URL;
 
   if (redirectUrl) {
     setTimeout(() => {
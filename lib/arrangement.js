@@ -0,0 +1,53 @@
+// Spatial arrangement (SpAM) trials, shared by the browser and the API routes.
+// Participants drag every product onto a canvas so that similar products end
+// up close together; each item's position is stored in canvas-width units
+// (x in 0-1, y in 0-height/width), so distances don't depend on screen size.
+import { makePairId } from './pairs.js';
+
+// Check a submitted arrangement. Returns an error message or null.
+export function validateArrangement(positions, items = null) {
+  if (!Array.isArray(positions) || positions.length < 2) {
+    return 'positions must be an array of at least two items';
+  }
+
+  const ids = new Set();
+  for (const position of positions) {
+    if (!position || typeof position.id !== 'string' || !position.id) {
+      return 'each position must have a product id';
+    }
+    if (ids.has(position.id)) {
+      return `product ${position.id} is placed more than once`;
+    }
+    ids.add(position.id);
+
+    const { x, y } = position;
+    if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || x > 1 || y < 0 || y > 1) {
+      return `position of ${position.id} must have x and y between 0 and 1`;
+    }
+  }
+
+  if (items && (items.length !== ids.size || !items.every(id => ids.has(id)))) {
+    return 'positions must place exactly the arranged items';
+  }
+
+  return null;
+}
+
+// Euclidean distance between every pair of placed items, keyed by the same
+// pair_id as rated pairs so both methods can be compared directly
+export function arrangementDistances(positions) {
+  const distances = [];
+
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      const a = positions[i];
+      const b = positions[j];
+      distances.push({
+        pair_id: makePairId(a.id, b.id),
+        distance: Math.hypot(a.x - b.x, a.y - b.y)
+      });
+    }
+  }
+
+  return distances;
+}
@@ -0,0 +1,78 @@
+import { allPairIds, selectLeastCovered } from './pairs.js';
+
+// Assignments to sessions that are still running count towards coverage for
+// this long, so concurrent participants don't all get the same pairs
+const ASSIGNMENT_HOLD_MINUTES = 60;
+
+// Number of ratings per pair_id: completed ratings (excluding catch and repeated
+// trials) plus pairs held by recent sessions that haven't finished yet
+export async function getPairCoverage(sql, experimentName) {
+  const rows = await sql`
+    SELECT pair_id, SUM(n)::int AS n
+    FROM (
+      SELECT t.pair_id, COUNT(*) AS n
+      FROM trials t
+      JOIN sessions s ON s.session_id = t.session_id
+      WHERE s.experiment_name = ${experimentName}
+        AND s.completed_at IS NOT NULL
+        AND NOT t.is_catch_trial
+        AND t.pair_id IS NOT NULL
+        AND (t.data IS NULL OR NOT (t.data ? 'repeat_of'))
+      GROUP BY t.pair_id
+      UNION ALL
+      SELECT a.pair_id, COUNT(*) AS n
+      FROM pair_assignments a
+      JOIN sessions s ON s.session_id = a.session_id
+      WHERE a.experiment_name = ${experimentName}
+        AND s.completed_at IS NULL
+        AND a.assigned_at > NOW() - make_interval(mins => ${ASSIGNMENT_HOLD_MINUTES})
+      GROUP BY a.pair_id
+    ) coverage
+    GROUP BY pair_id
+  `;
+
+  const counts = {};
+  rows.forEach(row => {
+    counts[row.pair_id] = row.n;
+  });
+  return counts;
+}
+
+async function assignedPairIds(sql, sessionId) {
+  const rows = await sql`
+    SELECT pair_id FROM pair_assignments
+    WHERE session_id = ${sessionId}
+    ORDER BY position
+  `;
+  return rows.map(row => row.pair_id);
+}
+
+// Give a session the least-covered pairs and record the assignment.
+// A session that already has an assignment gets the same pairs back.
+export async function assignPairs(sql, { sessionId, experimentName, productIds, nPairs }) {
+  const existing = await assignedPairIds(sql, sessionId);
+  if (existing.length > 0) {
+    return { pairIds: existing, reused: true };
+  }
+
+  const counts = await getPairCoverage(sql, experimentName);
+  const pairIds = selectLeastCovered(allPairIds(productIds), counts, nPairs);
+
+  // Two calls for one session (a resume racing the first create) can both get
+  // here. Locking the session row makes the second wait for the first's
+  // insert, see it and insert nothing, so the session keeps a single set.
+  await sql.transaction([
+    sql`SELECT session_id FROM sessions WHERE session_id = ${sessionId} FOR UPDATE`,
+    sql`
+      INSERT INTO pair_assignments (session_id, experiment_name, pair_id, position)
+      SELECT ${sessionId}, ${experimentName}, pair_id, position::int
+      FROM unnest(${pairIds}::text[]) WITH ORDINALITY AS a(pair_id, position)
+      WHERE NOT EXISTS (SELECT 1 FROM pair_assignments WHERE session_id = ${sessionId})
+      ON CONFLICT (session_id, pair_id) DO NOTHING
+    `
+  ]);
+
+  // The stored pairs, which are the other call's if it got there first
+  const stored = await assignedPairIds(sql, sessionId);
+  return { pairIds: stored, reused: stored.join() !== pairIds.join() };
+}
@@ -0,0 +1,67 @@
+// Attention scoring for catch trials, shared by the browser and the API routes
+
+export const CATCH_TYPES = ['identical', 'instructed', 'dissimilar'];
+
+// Whether one catch-trial response meets the pass criterion for its type
+export function passesCatchTrial({ catch_type, rating, target }, catchConfig = {}) {
+  if (rating === null || rating === undefined) return false;
+
+  const criteria = catchConfig[catch_type] || {};
+
+  switch (catch_type) {
+    case 'identical':
+      // Same product on both sides should be rated as very similar
+      return rating >= (criteria.minRating ?? 0);
+    case 'instructed':
+      // "Move the slider to X" should land on (or near) X
+      return Math.abs(rating - (target ?? criteria.target)) <= (criteria.tolerance ?? 0);
+    case 'dissimilar':
+      // Obviously different anchor pairs should be rated low
+      return rating <= (criteria.maxRating ?? 100);
+    default:
+      return false;
+  }
+}
+
+// Share of catch trials passed, and whether that meets passScore.
+// Catch trials without a response count as failed.
+export function scoreAttention(catchTrials, catchConfig, passScore = 1) {
+  if (catchTrials.length === 0) {
+    return { score: null, passed: null, nCatch: 0, nPassed: 0 };
+  }
+
+  const nPassed = catchTrials.filter(trial => passesCatchTrial(trial, catchConfig)).length;
+  const score = nPassed / catchTrials.length;
+
+  return { score, passed: score >= passScore, nCatch: catchTrials.length, nPassed };
+}
+
+// Line up a session's recorded catch trials with its plan. The plan is
+// authoritative when there is one; otherwise fall back to the trial data.
+// Sessions from before catch types existed only had identical-pair checks.
+export function collectCatchTrials(recordedTrials, plan = null) {
+  const byNumber = new Map(recordedTrials.map(t => [t.trial_number, t]));
+
+  if (plan) {
+    return plan.trials
+      .filter(planned => planned.is_catch_trial)
+      .map(planned => {
+        const recorded = byNumber.get(planned.trial_number);
+        return {
+          trial_number: planned.trial_number,
+          catch_type: planned.catch_type || 'identical',
+          target: planned.target,
+          rating: recorded ? recorded.rating : null
+        };
+      });
+  }
+
+  return recordedTrials
+    .filter(t => t.is_catch_trial)
+    .map(t => ({
+      trial_number: t.trial_number,
+      catch_type: (t.data && t.data.catch_type) || 'identical',
+      target: t.data ? t.data.target : undefined,
+      rating: t.rating
+    }));
+}
@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+// API key protection for the export and admin routes. The key can be sent as
+// "Authorization: Bearer <key>" (kept out of URLs and access logs) or ?key=.
+function requestKey(req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return (req.query && req.query.key) || '';
+}
+
+// Compare digests so the check takes the same time however much of a secret matches
+export function secretsEqual(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+export function isAuthorized(req, expectedKey) {
+  if (!expectedKey) return false;
+  return secretsEqual(requestKey(req), expectedKey);
+}
@@ -0,0 +1,73 @@
+// CSV helpers for the export routes
+
+export function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  // Escape values containing commas or quotes
+  const stringValue = String(value);
+  if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+  return stringValue;
+}
+
+export function csvRow(headers, row) {
+  return headers.map(header => csvValue(row[header])).join(',');
+}
+
+export function toCsv(headers, rows) {
+  return [headers.join(','), ...rows.map(row => csvRow(headers, row))].join('\n');
+}
+
+// Spread a JSONB object into one column per key (prefixed so keys can't clash
+// with the fixed columns); nested objects and arrays are kept as JSON text
+export function flattenData(data, prefix = 'data_') {
+  const columns = {};
+  Object.entries(data || {}).forEach(([key, value]) => {
+    columns[prefix + key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  });
+  return columns;
+}
+
+// Parse CSV text (as written by csvValue) into one object per row, keyed by the header
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...rows] = records;
+  return rows.map(values => Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ''])));
+}
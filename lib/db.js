@@ -0,0 +1,80 @@
+import fs from 'fs';
+import { neon } from '@neondatabase/serverless';
+
+// Storage for the api/ routes. Each route gets its `sql` tagged template from
+// createSql(), which picks a driver with DATABASE_DRIVER:
+//   postgres  (default) Neon over HTTP, at POSTGRES_URL
+//   local     PGlite (Postgres compiled to WebAssembly) in this process: in
+//             memory, or in LOCAL_DATABASE_DIR to keep data between runs.
+//             schema.sql is applied when it opens. For development and
+//             tests (see scripts/dev-server.js); it's a dev dependency only.
+// Both run the same SQL and resolve to the same rows, and both have
+// sql.transaction([...queries]).
+
+export const DATABASE_DRIVERS = ['postgres', 'local'];
+
+const SCHEMA_PATH = new URL('../schema.sql', import.meta.url);
+
+export function createSql(env = process.env) {
+  const driver = env.DATABASE_DRIVER || 'postgres';
+  if (driver === 'postgres') {
+    return neon(env.POSTGRES_URL);
+  }
+  if (driver === 'local') {
+    return localSql(env.LOCAL_DATABASE_DIR);
+  }
+  throw new Error(`Unknown DATABASE_DRIVER "${driver}" (expected one of ${DATABASE_DRIVERS.join(', ')})`);
+}
+
+// Every route in the process shares one local database per directory
+const localDatabases = new Map();
+
+function openLocalDatabase(dataDir) {
+  const key = dataDir || ':memory:';
+  if (!localDatabases.has(key)) {
+    localDatabases.set(key, (async () => {
+      const { PGlite, types } = await import('@electric-sql/pglite');
+      // Bigints (COUNT(*) and the like) come back as strings, as they do from Neon
+      const db = new PGlite({ dataDir, parsers: { [types.INT8]: value => value } });
+      await db.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+      return db;
+    })());
+  }
+  return localDatabases.get(key);
+}
+
+function runQuery(target, { text, params }) {
+  return target.query(text, params).then(result => result.rows);
+}
+
+function localSql(dataDir) {
+  const database = openLocalDatabase(dataDir);
+
+  // Like Neon's, a query only runs once it's awaited, so sql.transaction()
+  // can be handed queries that haven't run yet
+  function sql(strings, ...values) {
+    let rows = null;
+    const query = {
+      text: strings.reduce((text, part, index) => `${text}$${index}${part}`),
+      params: values.map(value => (value === undefined ? null : value)),
+      then(resolve, reject) {
+        rows = rows || database.then(db => runQuery(db, query));
+        return rows.then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  sql.transaction = async queries => {
+    const db = await database;
+    return db.transaction(async tx => {
+      const results = [];
+      for (const query of queries) {
+        results.push(await runQuery(tx, query));
+      }
+      return results;
+    });
+  };
+
+  return sql;
+}
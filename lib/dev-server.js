@@ -0,0 +1,132 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// A local stand-in for Vercel (see scripts/dev-server.js): static files from
+// the project root, with vercel.json's rewrites, and /api/<route> answered by
+// api/<route>.js. Handlers get what Vercel gives them: req.query, req.body
+// (parsed JSON), res.status(), res.json() and res.send(). They are imported on
+// first use, so set DATABASE_DRIVER and the other variables before then.
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Route names map to files under api/, so only allow plain path segments
+const API_ROUTE_PATTERN = /^\/api((?:\/[\w-]+)+)$/;
+
+function loadRewrites(root) {
+  const file = path.join(root, 'vercel.json');
+  if (!fs.existsSync(file)) return {};
+  const rewrites = JSON.parse(fs.readFileSync(file, 'utf8')).rewrites || [];
+  return Object.fromEntries(rewrites.map(r => [r.source, r.destination]));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Vercel parses JSON bodies and leaves anything else as text
+function parseBody(req, text) {
+  if (!text) return {};
+  if (!(req.headers['content-type'] || '').includes('application/json')) return text;
+  return JSON.parse(text);
+}
+
+function addResponseHelpers(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = value => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    return res.end(JSON.stringify(value));
+  };
+  res.send = value => (typeof value === 'object' && !Buffer.isBuffer(value) ? res.json(value) : res.end(value));
+  return res;
+}
+
+export function createDevServer({ root }) {
+  root = path.resolve(root);
+  const rewrites = loadRewrites(root);
+  const handlers = new Map();
+
+  // The route's default export, or null if there's no such file
+  async function loadHandler(route) {
+    const file = path.join(root, 'api', `${route}.js`);
+    if (!handlers.has(file)) {
+      handlers.set(file, fs.existsSync(file) ? import(pathToFileURL(file).href).then(mod => mod.default) : Promise.resolve(null));
+    }
+    return handlers.get(file);
+  }
+
+  async function serveApi(req, res, url, route) {
+    try {
+      req.query = Object.fromEntries(url.searchParams);
+      req.body = parseBody(req, await readBody(req));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+
+    try {
+      const handler = await loadHandler(route);
+      if (!handler) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Unhandled error in /api${route}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+    if (!res.writableEnded) {
+      res.end();
+    }
+  }
+
+  function serveFile(res, pathname) {
+    const file = path.join(root, path.normalize(pathname === '/' ? '/index.html' : pathname));
+    if (!file.startsWith(root + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Not found');
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  }
+
+  return http.createServer((req, res) => {
+    addResponseHelpers(res);
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+      return res.status(400).end();
+    }
+
+    const apiMatch = pathname.match(API_ROUTE_PATTERN);
+    if (apiMatch) {
+      serveApi(req, res, url, apiMatch[1]);
+      return;
+    }
+    serveFile(res, rewrites[pathname] || pathname);
+  });
+}
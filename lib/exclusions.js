@@ -0,0 +1,121 @@
+// Participant exclusion rules, shared by /api/exclusions (which stores the
+// decisions in the exclusions table for the export and /api/matrix) and
+// scripts/exclusions.js (which applies them to an export file)
+import { matrixRating } from './matrix.js';
+import { leaveOneOutCorrelations } from './reliability.js';
+import { median } from './stats.js';
+
+// Reason recorded for each rule, in the order they're checked
+export const EXCLUSION_REASONS = ['incomplete', 'catch_rating', 'fast_responses', 'straight_lining', 'low_group_correlation'];
+
+// The rules for one experiment from CONFIG.EXCLUSION_RULES (none if it has no entry)
+export function exclusionRules(experimentName, config) {
+  return (config.EXCLUSION_RULES || {})[experimentName] || {};
+}
+
+// Group one-row-per-trial rows (the long export, or the same columns from the
+// database) into sessions: [{ session_id, completed_at, trials }]. Sessions
+// without trials come through as a row with an empty trial_number.
+export function sessionsFromRows(rows) {
+  const sessions = new Map();
+  rows.forEach(row => {
+    if (!sessions.has(row.session_id)) {
+      sessions.set(row.session_id, { session_id: row.session_id, completed_at: row.completed_at || null, trials: [] });
+    }
+    if (row.trial_number !== null && row.trial_number !== undefined && row.trial_number !== '') {
+      sessions.get(row.session_id).trials.push(row);
+    }
+  });
+  return [...sessions.values()];
+}
+
+function isCatch(trial) {
+  return String(trial.is_catch_trial) === 'true';
+}
+
+// The trial's 0-100 rating regardless of any earlier attention or exclusion
+// decision on the session, so the rules stand on their own
+function rescaledRating(trial) {
+  return matrixRating({ ...trial, attention_passed: null, exclusion_reasons: null });
+}
+
+// Share of the ratings taken by the single most common value
+function sameRatingShare(ratings) {
+  const counts = new Map();
+  ratings.forEach(r => counts.set(r, (counts.get(r) || 0) + 1));
+  return Math.max(...counts.values()) / ratings.length;
+}
+
+// Apply the rules to sessions and return one { session_id, reason, value, threshold }
+// per rule a session breaks. Ratings are rescaled to 0-100 as in the matrix.
+// The group correlation is only computed among sessions no other rule
+// excluded, so careless sessions don't drag the group mean around.
+export function evaluateExclusions(sessions, rules) {
+  const exclusions = [];
+  const exclude = (session, reason, value, threshold) => {
+    exclusions.push({ session_id: session.session_id, reason, value, threshold });
+  };
+
+  sessions.forEach(session => {
+    const regular = session.trials.filter(t => !isCatch(t));
+
+    if (rules.incomplete && !session.completed_at) {
+      exclude(session, 'incomplete', null, null);
+    }
+
+    if (rules.minCatchRating !== undefined) {
+      const catchRatings = session.trials
+        .filter(t => isCatch(t) && (t.catch_type || 'identical') === 'identical')
+        .map(rescaledRating)
+        .filter(r => r !== null);
+      const lowest = catchRatings.length > 0 ? Math.min(...catchRatings) : null;
+      if (lowest !== null && lowest < rules.minCatchRating) {
+        exclude(session, 'catch_rating', lowest, rules.minCatchRating);
+      }
+    }
+
+    if (rules.minMedianResponseMs !== undefined) {
+      const medianRt = median(regular.map(t => Number(t.response_time_ms)).filter(Number.isFinite));
+      if (medianRt !== null && medianRt < rules.minMedianResponseMs) {
+        exclude(session, 'fast_responses', medianRt, rules.minMedianResponseMs);
+      }
+    }
+
+    if (rules.maxSameRatingShare !== undefined) {
+      const ratings = regular.map(t => t.rating).filter(r => r !== null && r !== undefined && r !== '').map(Number);
+      const share = ratings.length > 0 ? sameRatingShare(ratings) : null;
+      if (share !== null && share > rules.maxSameRatingShare) {
+        exclude(session, 'straight_lining', share, rules.maxSameRatingShare);
+      }
+    }
+  });
+
+  if (rules.minGroupCorrelation !== undefined) {
+    const excluded = new Set(exclusions.map(e => e.session_id));
+    const ratings = sessions
+      .filter(session => !excluded.has(session.session_id))
+      .flatMap(session => session.trials
+        .filter(t => !isCatch(t))
+        .map(t => ({ session_id: session.session_id, pair_id: t.pair_id, rating: rescaledRating(t) }))
+        .filter(r => r.rating !== null));
+
+    leaveOneOutCorrelations(ratings, { minCorrelation: rules.minGroupCorrelation })
+      .filter(p => p.flagged)
+      .forEach(p => exclude(p, 'low_group_correlation', p.r, rules.minGroupCorrelation));
+  }
+
+  return exclusions;
+}
+
+// Number of sessions excluded, overall and per reason (a session can break several rules)
+export function countExclusions(exclusions, nSessions) {
+  const byReason = Object.fromEntries(EXCLUSION_REASONS.map(reason => [reason, 0]));
+  exclusions.forEach(e => {
+    byReason[e.reason] += 1;
+  });
+  return {
+    n_sessions: nSessions,
+    n_excluded: new Set(exclusions.map(e => e.session_id)).size,
+    by_reason: byReason
+  };
+}
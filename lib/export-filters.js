@@ -0,0 +1,50 @@
+// Query parameters shared by the export formats, as a schema (see lib/schema.js)
+// for the route's query:
+//   experiment_name  only this experiment
+//   from, to         sessions started in this range (ISO dates or timestamps; a bare `to` date is inclusive)
+//   completed_only   only completed sessions (true/1)
+//   exclude_catch    leave catch trials out (true/1)
+//   since_session    page cursor: sessions started after this session_id
+//   limit            sessions per page (default 1000, max 10000)
+
+export const DEFAULT_EXPORT_LIMIT = 1000;
+export const MAX_EXPORT_LIMIT = 10000;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, endOfDay) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  // "to=2026-03-31" means up to the end of that day
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+function dateField(field) {
+  return { type: 'string', check: value => (parseDate(value, false) ? null : `${field} must be a date`) };
+}
+
+export const EXPORT_FILTERS_SCHEMA = {
+  experiment_name: { type: 'string' },
+  from: dateField('from'),
+  to: dateField('to'),
+  completed_only: { type: 'boolean', default: false },
+  exclude_catch: { type: 'boolean', default: false },
+  since_session: { type: 'uuid' },
+  limit: { type: 'integer', min: 1, max: MAX_EXPORT_LIMIT, default: DEFAULT_EXPORT_LIMIT }
+};
+
+// The filters the exporters use, from query values checked against EXPORT_FILTERS_SCHEMA
+export function exportFilters(query) {
+  return {
+    experimentName: query.experiment_name || null,
+    from: query.from ? parseDate(query.from, false) : null,
+    to: query.to ? parseDate(query.to, true) : null,
+    completedOnly: query.completed_only,
+    excludeCatch: query.exclude_catch,
+    sinceSession: query.since_session || null,
+    limit: query.limit
+  };
+}
@@ -0,0 +1,38 @@
+// The page flow (CONFIG.FLOW) as the browser walks it. A step is { page, when };
+// `when`, if given, gets the URL parameters { prolificPid, studyId,
+// sessionIdParam } and the step is skipped unless it returns true. Steps
+// without a handler in experiment.js just show #<page>-page, and continue
+// from its [data-flow-next] button.
+
+export function stepApplies(step, params) {
+  return !step.when || Boolean(step.when(params));
+}
+
+// Index of the first step at or after `index` whose condition holds, or -1
+// when there are no more
+export function nextStepIndex(flow, index, params) {
+  for (let next = Math.max(index, 0); next < flow.length; next++) {
+    if (stepApplies(flow[next], params)) return next;
+  }
+  return -1;
+}
+
+// Every step but consent may post to the API (screening, comprehension,
+// trials), so the session has to exist before it is shown
+export function stepNeedsSession(step) {
+  return step.page !== 'consent';
+}
+
+export function flowIndexOf(flow, page) {
+  return flow.findIndex(step => step.page === page);
+}
+
+// Where an interrupted session picks up: after the trials once they're all
+// answered, at the trials once some are, otherwise at the step it was saved
+// at (savedPage, for the same browser session) or from the start. A saved
+// page the flow no longer has starts over.
+export function resumeStepIndex(flow, { currentTrial, trialCount, savedPage = null }) {
+  if (currentTrial >= trialCount) return flowIndexOf(flow, 'trials') + 1;
+  if (currentTrial > 0) return flowIndexOf(flow, 'trials');
+  return savedPage ? Math.max(flowIndexOf(flow, savedPage), 0) : 0;
+}
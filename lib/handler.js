@@ -0,0 +1,124 @@
+import { isAuthorized } from './auth.js';
+import { problemsBody, validateSchema } from './schema.js';
+import { verifySessionToken } from './session-token.js';
+
+// Shared request handling for the api/ routes: CORS and OPTIONS, method
+// checks, API keys, body and query schemas (see lib/schema.js), the session
+// lookup and error responses, so every route answers the same way.
+//
+//   export default createHandler(sql, {
+//     POST: {
+//       body: { session_id: { type: 'uuid', required: true }, ... },
+//       session: true,
+//       failure: 'Failed to save demographics',
+//       run: async ({ body, session, res }) => res.status(200).json({ success: true })
+//     }
+//   });
+//
+// Each method's route may have:
+//   body, query  schemas; run() gets the checked values merged over the raw input
+//   validate     (body) => problems, for bodies a flat schema can't describe
+//   apiKey       () => the key the request must carry (see lib/auth.js)
+//   session      look up the request's session_id (body, else query) first:
+//                unknown ones get 404, and run() gets the row as `session`
+//   write        as `session`, and the request must also carry the session's
+//                session_token (lib/session-token.js); completed sessions get
+//                410, which the client's outbox drops rather than taking as
+//                stored (409 means a duplicate there)
+//   allowCompleted  with `write`, run() is called for completed sessions too
+//                (check session.completed_at), for writes that can be repeated
+//   failure      message logged and returned with a 500 when run() throws
+//   run          ({ req, res, body, query, session }) => sends the response
+
+// A response to send instead of a 500; throw it from run()
+export class HttpError extends Error {
+  constructor(status, message, fields) {
+    super(message);
+    this.status = status;
+    this.fields = fields;
+  }
+}
+
+const SESSION_NOT_FOUND = { error: 'Session not found' };
+const INVALID_SESSION_TOKEN = problemsBody([
+  { field: 'session_token', message: 'session_token is missing, invalid or expired' }
+]);
+const SESSION_COMPLETED = { error: 'Session already completed' };
+
+export async function findSession(sql, sessionId) {
+  const rows = await sql`
+    SELECT session_id, experiment_name, completed_at, outcome
+    FROM sessions
+    WHERE session_id = ${sessionId}
+  `;
+  return rows.length > 0 ? rows[0] : null;
+}
+
+export function createHandler(sql, routes) {
+  const methods = [...Object.keys(routes), 'OPTIONS'].join(', ');
+
+  return async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    const route = routes[req.method];
+    if (!route) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (route.apiKey && !isAuthorized(req, route.apiKey())) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const rawBody = req.body || {};
+    const rawQuery = req.query || {};
+    const checkedBody = route.body ? validateSchema(route.body, rawBody) : { values: {}, problems: [] };
+    const checkedQuery = route.query ? validateSchema(route.query, rawQuery, { fromQuery: true }) : { values: {}, problems: [] };
+    const problems = [...checkedBody.problems, ...checkedQuery.problems];
+    if (problems.length === 0 && route.validate) {
+      problems.push(...route.validate(rawBody));
+    }
+    if (problems.length > 0) {
+      return res.status(400).json(problemsBody(problems));
+    }
+
+    const body = { ...rawBody, ...checkedBody.values };
+    const query = { ...rawQuery, ...checkedQuery.values };
+    const sessionId = body.session_id || query.session_id;
+
+    if (route.write && !verifySessionToken(body.session_token || query.session_token, sessionId, process.env.SESSION_TOKEN_SECRET)) {
+      return res.status(401).json(INVALID_SESSION_TOKEN);
+    }
+
+    try {
+      let session = null;
+      if (route.session || route.write) {
+        session = await findSession(sql, sessionId);
+        if (!session) {
+          return res.status(404).json(SESSION_NOT_FOUND);
+        }
+        if (route.write && session.completed_at && !route.allowCompleted) {
+          return res.status(410).json(SESSION_COMPLETED);
+        }
+      }
+
+      return await route.run({ req, res, body, query, session });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json(error.fields ? problemsBody(error.fields) : { error: error.message });
+      }
+
+      console.error(`${route.failure}:`, error);
+      // A route that has started streaming can only stop
+      if (res.headersSent) {
+        return res.end();
+      }
+      return res.status(500).json({ error: route.failure });
+    }
+  };
+}
@@ -0,0 +1,24 @@
+// Idempotency keys on trial submissions (sent by the outbox in lib/outbox.js).
+// A retry of a submission the server already stored is acknowledged instead
+// of rejected as a duplicate trial.
+
+const MAX_KEY_LENGTH = 100;
+
+// Keys are optional. Returns an error message or null.
+export function validateIdempotencyKey(key) {
+  if (key === undefined || key === null) return null;
+  if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return `idempotency_key must be a string of at most ${MAX_KEY_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Whether the trial stored for (session, trial_number) came from this same submission
+export async function isStoredSubmission(sql, sessionId, trialNumber, key) {
+  if (!key) return false;
+  const rows = await sql`
+    SELECT idempotency_key FROM trials
+    WHERE session_id = ${sessionId} AND trial_number = ${trialNumber}
+  `;
+  return rows.length > 0 && rows[0].idempotency_key === key;
+}
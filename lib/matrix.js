@@ -0,0 +1,73 @@
+// Product x product similarity matrix from pair ratings, for /api/matrix
+import { splitPairId } from './pairs.js';
+import { meanCI } from './stats.js';
+
+export const MATRIX_STATS = ['mean', 'sd', 'n', 'ci_lower', 'ci_upper'];
+
+// Ratings ([{ pair_id, rating }]) grouped into a symmetric matrix keyed by
+// product ID: cells[row][col] = { mean, sd, n, ci_lower, ci_upper }.
+// Identical pairs ("A_A") fill the diagonal; pairs with products outside
+// productIds are ignored.
+export function similarityMatrix(productIds, ratings) {
+  const known = new Set(productIds);
+  const byPair = new Map();
+  ratings.forEach(({ pair_id, rating }) => {
+    if (!byPair.has(pair_id)) byPair.set(pair_id, []);
+    byPair.get(pair_id).push(rating);
+  });
+
+  const empty = meanCI([]);
+  const cells = {};
+  productIds.forEach(row => {
+    cells[row] = {};
+    productIds.forEach(col => {
+      cells[row][col] = empty;
+    });
+  });
+
+  byPair.forEach((values, pairId) => {
+    const [a, b] = splitPairId(pairId);
+    if (!known.has(a) || !known.has(b)) return;
+    const cell = meanCI(values);
+    cells[a][b] = cell;
+    cells[b][a] = cell;
+  });
+
+  return cells;
+}
+
+// The 0-100 rating a long-format export row contributes to the matrix, or
+// null if it's left out (same rules as /api/matrix: catch trials other than
+// identical pairs, repeated pairs, sessions that failed attention and
+// sessions with exclusion_reasons)
+// CSV values are all strings, so '' and 'false' count as missing and false.
+export function matrixRating(row) {
+  const blank = value => value === '' || value === null || value === undefined;
+  if (blank(row.pair_id) || blank(row.rating) || !blank(row.repeat_of)) return null;
+  if (String(row.attention_passed) === 'false' || !blank(row.exclusion_reasons)) return null;
+  if (String(row.is_catch_trial) === 'true' && (row.catch_type || 'identical') !== 'identical') return null;
+
+  const min = blank(row.scale_min) ? 0 : Number(row.scale_min);
+  const max = blank(row.scale_max) ? 100 : Number(row.scale_max);
+  return 100 * (Number(row.rating) - min) / (max - min);
+}
+
+// Ratings of one experiment from parsed long-format export rows:
+// [{ session_id, pair_id, rating }] with the matrixRating exclusions applied
+export function ratingsFromExport(rows, experimentName) {
+  return rows
+    .filter(row => row.experiment_name === experimentName)
+    .map(row => ({ session_id: row.session_id, pair_id: row.pair_id, rating: matrixRating(row) }))
+    .filter(r => r.rating !== null);
+}
+
+// One statistic of the matrix as CSV-ready rows: { product_id, [col]: value }
+export function matrixRows(productIds, cells, stat) {
+  return productIds.map(row => {
+    const values = { product_id: row };
+    productIds.forEach(col => {
+      values[col] = cells[row][col][stat];
+    });
+    return values;
+  });
+}
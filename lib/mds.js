@@ -0,0 +1,100 @@
+// Classical (Torgerson) multidimensional scaling of the similarity matrix,
+// used by scripts/mds.js
+
+// Similarities on the 0-100 scale become distances (100 = identical = 0 apart).
+// Unrated pairs stay null; the diagonal is always 0.
+export function similarityToDistance(productIds, cells, maxSimilarity = 100) {
+  return productIds.map((row, i) => productIds.map((col, j) => {
+    if (i === j) return 0;
+    const { mean } = cells[row][col];
+    return mean === null ? null : maxSimilarity - mean;
+  }));
+}
+
+// Eigenvalues and eigenvectors of a symmetric matrix (cyclic Jacobi rotations),
+// sorted by decreasing eigenvalue. vectors[k] is the k-th eigenvector.
+export function symmetricEigen(matrix, { maxSweeps = 100, tolerance = 1e-12 } = {}) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] ** 2;
+    }
+    if (offDiagonal < tolerance) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta ** 2 + 1));
+        const c = 1 / Math.sqrt(t ** 2 + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return a
+    .map((row, i) => ({ value: row[i], vector: v.map(vRow => vRow[i]) }))
+    .sort((x, y) => y.value - x.value);
+}
+
+// Classical MDS of a square distance matrix. Missing (null) distances are
+// filled with the mean of the known ones, since the method needs a full
+// matrix. Returns coordinates[i] = [dim 1, ..., dim n] and the eigenvalues;
+// dimensions with a non-positive eigenvalue are all zeros.
+export function classicalMDS(distances, dims = 2) {
+  const n = distances.length;
+  const known = [];
+  distances.forEach((row, i) => row.forEach((d, j) => {
+    if (i < j && d !== null) known.push(d);
+  }));
+  const fill = known.length > 0 ? known.reduce((sum, d) => sum + d, 0) / known.length : 0;
+
+  // Double-centred squared distances: B = -1/2 J D^2 J
+  const squared = distances.map((row, i) => row.map((d, j) => (i === j ? 0 : (d === null ? fill : d) ** 2)));
+  const rowMeans = squared.map(row => row.reduce((sum, d) => sum + d, 0) / n);
+  const grandMean = rowMeans.reduce((sum, m) => sum + m, 0) / n;
+  const b = squared.map((row, i) => row.map((d, j) => -0.5 * (d - rowMeans[i] - rowMeans[j] + grandMean)));
+
+  const eigen = symmetricEigen(b).slice(0, dims);
+  const coordinates = Array.from({ length: n }, (_, i) =>
+    eigen.map(({ value, vector }) => (value > 0 ? vector[i] * Math.sqrt(value) : 0)));
+
+  return { coordinates, eigenvalues: eigen.map(e => e.value) };
+}
+
+// Kruskal's stress-1 between the observed distances (known pairs only) and
+// the distances between the fitted coordinates: 0 is a perfect fit
+export function kruskalStress(distances, coordinates) {
+  let residual = 0;
+  let total = 0;
+  distances.forEach((row, i) => row.forEach((d, j) => {
+    if (i >= j || d === null) return;
+    const fitted = Math.hypot(...coordinates[i].map((x, k) => x - coordinates[j][k]));
+    residual += (d - fitted) ** 2;
+    total += d ** 2;
+  }));
+  return total === 0 ? null : Math.sqrt(residual / total);
+}
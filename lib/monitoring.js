@@ -0,0 +1,73 @@
+import { stepApplies } from './flow.js';
+
+// Study monitoring for the admin dashboard: per-experiment session counts and
+// where abandoned sessions dropped out of the page flow. The counting happens
+// in SQL (api/admin.js); this shapes the aggregated rows into the summary.
+
+// Unfinished sessions older than this are counted as abandoned, not in progress
+export const ABANDON_AFTER_MINUTES = 60;
+
+// Which flag of an abandoned session's progress row shows each built-in flow
+// step is done. Sessions are created on consent, and custom steps (break
+// screens, questionnaires) leave nothing in the database, so drop-off can't be
+// attributed to those. Abandoned sessions never reached completion.
+const STEP_DONE = {
+  screening: progress => progress.screening_done,
+  instructions: progress => progress.instructions_done,
+  trials: progress => progress.trials_done,
+  demographics: progress => progress.demographics_done,
+  complete: () => false
+};
+
+// Whether any step's `when` condition needs the session's URL parameters
+export function flowUsesConditions(flow) {
+  return flow.some(step => STEP_DONE[step.page] && step.when);
+}
+
+// The page an abandoned session left on: the first step of the flow it hadn't done
+export function dropOffStep(progress, flow) {
+  const params = {
+    prolificPid: progress.prolific_pid,
+    studyId: progress.study_id,
+    sessionIdParam: progress.session_id_param
+  };
+  const step = flow.find(s => STEP_DONE[s.page] && stepApplies(s, params) && !STEP_DONE[s.page](progress));
+  return step ? step.page : null;
+}
+
+// The dashboard summary from the aggregated rows: one `summaries` row per
+// experiment (counts, median duration, attention pass rate), `outcomes` rows
+// of { experiment_name, outcome, n }, and `progress` rows counting abandoned
+// sessions (n) per experiment and combination of STEP_DONE flags
+export function summarizeExperiments({ summaries, outcomes, progress }, flow) {
+  return summaries.map(summary => {
+    const outcomeCounts = {};
+    outcomes
+      .filter(row => row.experiment_name === summary.experiment_name)
+      .forEach(row => {
+        outcomeCounts[row.outcome] = row.n;
+      });
+
+    const dropOff = flow
+      .filter(step => STEP_DONE[step.page])
+      .map(step => ({ page: step.page, count: 0 }));
+    progress
+      .filter(row => row.experiment_name === summary.experiment_name)
+      .forEach(row => {
+        const entry = dropOff.find(d => d.page === dropOffStep(row, flow));
+        if (entry) entry.count += row.n;
+      });
+
+    return {
+      experiment_name: summary.experiment_name,
+      started: summary.started,
+      completed: summary.completed,
+      abandoned: summary.abandoned,
+      in_progress: summary.in_progress,
+      outcomes: outcomeCounts,
+      median_duration_ms: summary.median_duration_ms,
+      attention_pass_rate: summary.attention_pass_rate,
+      drop_off: dropOff
+    };
+  });
+}
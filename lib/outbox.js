@@ -0,0 +1,178 @@
+// Client-side outbox for trial submissions. Each request is saved to storage
+// (localStorage in the browser) before it's sent and retried in the background
+// with exponential backoff until the server acknowledges it, so a network blip
+// or a page reload doesn't lose a response. Every submission carries an
+// idempotency_key, so a retry of a request the server did get is harmless.
+
+export const RETRY_BASE_MS = 1000;
+export const RETRY_MAX_MS = 30000;
+
+// Most submissions sent together when sendBatch is given
+export const MAX_BATCH_SIZE = 100;
+
+// Backoff before the given retry (1, 2, 3, ...), with jitter so clients that
+// lost the connection together don't all retry at the same moment
+export function retryDelay(attempts, random = Math.random) {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+  return Math.round(delay * (0.5 + random() / 2));
+}
+
+// The server has the submission: stored now (2xx) or already (409, a duplicate)
+export function isAcknowledged(status) {
+  return (status >= 200 && status < 300) || status === 409;
+}
+
+// Server errors and rate limits may pass; other client errors never will
+export function isRetryable(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// send(url, body) resolves to the HTTP status and rejects on network errors.
+// sendBatch(url, bodies), if given, is used when several submissions to one URL
+// are due (after being offline, or on reload): it resolves to one status per
+// body, or to null if that URL can't take a batch.
+// onDrop(item, status) is called for submissions the server rejected outright.
+export function createOutbox({
+  storage,
+  storageKey,
+  send,
+  sendBatch = null,
+  createId,
+  onDrop = () => {},
+  now = Date.now,
+  schedule = setTimeout,
+  cancel = clearTimeout,
+  random = Math.random
+}) {
+  let items = load();
+  let flushing = null;
+  let retryTimer = null;
+  let waiters = [];
+
+  function load() {
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // If storage is full or blocked the queue still works for this page load
+  function save() {
+    try {
+      storage.setItem(storageKey, JSON.stringify(items));
+    } catch (e) {
+      console.error('Failed to save outbox:', e);
+    }
+  }
+
+  // Statuses for a group of submissions to one URL; null means a network error
+  async function sendGroup(group) {
+    try {
+      if (group.length > 1) {
+        const statuses = await sendBatch(group[0].url, group.map(item => item.body));
+        if (statuses) return statuses;
+      }
+      return [await send(group[0].url, group[0].body)];
+    } catch (e) {
+      return group.map(() => null);
+    }
+  }
+
+  function settle(item, status) {
+    if (status !== null && status !== undefined && !isRetryable(status)) {
+      if (!isAcknowledged(status)) onDrop(item, status);
+      items = items.filter(i => i !== item);
+    } else {
+      item.attempts += 1;
+      item.next_attempt_at = now() + retryDelay(item.attempts, random);
+    }
+  }
+
+  // Send every item whose retry time has come, in order, including any
+  // queued while this runs
+  async function sendDue() {
+    let due;
+    while ((due = items.filter(i => i.next_attempt_at <= now())).length > 0) {
+      const group = sendBatch
+        ? due.filter(item => item.url === due[0].url).slice(0, MAX_BATCH_SIZE)
+        : due.slice(0, 1);
+      const statuses = await sendGroup(group);
+
+      // A single send covers just the first item of the group
+      group.slice(0, statuses.length).forEach((item, index) => settle(item, statuses[index]));
+      save();
+    }
+  }
+
+  function scheduleRetry() {
+    cancel(retryTimer);
+    retryTimer = null;
+    if (items.length === 0) return;
+
+    const next = Math.min(...items.map(item => item.next_attempt_at));
+    retryTimer = schedule(flush, Math.max(0, next - now()));
+  }
+
+  function settleWaiters() {
+    if (items.length > 0) return;
+    waiters.forEach(resolve => resolve(true));
+    waiters = [];
+  }
+
+  function flush() {
+    if (!flushing) {
+      flushing = sendDue().finally(() => {
+        flushing = null;
+        scheduleRetry();
+        settleWaiters();
+      });
+    }
+    return flushing;
+  }
+
+  return {
+    // Queue a POST and start sending it. Returns its idempotency key.
+    enqueue(url, body) {
+      const item = {
+        url,
+        body: { ...body, idempotency_key: createId() },
+        attempts: 0,
+        next_attempt_at: 0
+      };
+      items.push(item);
+      save();
+      flush();
+      return item.body.idempotency_key;
+    },
+
+    flush,
+
+    size() {
+      return items.length;
+    },
+
+    // Retry everything now and resolve true once the outbox is empty, or
+    // false if timeoutMs passes first (the items stay queued)
+    drain(timeoutMs) {
+      if (items.length === 0) return Promise.resolve(true);
+
+      items.forEach(item => {
+        item.next_attempt_at = 0;
+      });
+
+      return new Promise(resolve => {
+        const timer = schedule(() => {
+          waiters = waiters.filter(w => w !== done);
+          resolve(false);
+        }, timeoutMs);
+        const done = ok => {
+          cancel(timer);
+          resolve(ok);
+        };
+        waiters.push(done);
+        flush();
+      });
+    }
+  };
+}
@@ -0,0 +1,53 @@
+// Session outcomes and the completion code/URL each one sends the participant to.
+// The server decides the outcome and stores it on the sessions row.
+
+export const OUTCOMES = ['completed', 'screened_out', 'no_consent', 'failed_attention', 'returned'];
+
+// Outcomes a client may report itself; the rest are decided from the session's data
+export const CLIENT_OUTCOMES = ['no_consent', 'returned'];
+
+const PROLIFIC_COMPLETE_URL = 'https://app.prolific.com/submissions/complete';
+
+// Outcomes of sessions that reached the end of the study
+const FINISHED_OUTCOMES = ['completed', 'failed_attention'];
+
+// Redirect for an outcome, from COMPLETION_CODES[experimentName][outcome] in
+// config.js. A value can be a bare Prolific completion code or a full URL.
+// Without one, sessions that reached the end (completed or failed_attention)
+// fall back to PROLIFIC_COMPLETION_URL, as every finished session did before
+// outcomes, and screened-out ones to SCREENING_FAIL_URL. no_consent and
+// returned have no fallback: they shouldn't get the completion code.
+export function completionUrl(outcome, experimentName, config, env = {}) {
+  const codes = (config.COMPLETION_CODES || {})[experimentName] || {};
+  const code = codes[outcome];
+
+  if (code) {
+    return code.includes('://') ? code : `${PROLIFIC_COMPLETE_URL}?cc=${encodeURIComponent(code)}`;
+  }
+  if (FINISHED_OUTCOMES.includes(outcome)) {
+    return env.PROLIFIC_COMPLETION_URL || config.PROLIFIC_COMPLETION_URL || null;
+  }
+  if (outcome === 'screened_out') {
+    return config.SCREENING_FAIL_URL || null;
+  }
+  return null;
+}
+
+// Outcome of a session that reached the end, from its attention score
+export function completionOutcome(attention) {
+  return attention.passed === false ? 'failed_attention' : 'completed';
+}
+
+// Record an outcome unless the session already has one, so the first
+// decision (e.g. screened out) can't be overwritten later. Returns the
+// session's outcome and experiment_name, or null for an unknown session.
+export async function recordOutcome(sql, sessionId, outcome) {
+  const result = await sql`
+    UPDATE sessions
+    SET outcome = COALESCE(outcome, ${outcome}),
+        outcome_at = COALESCE(outcome_at, NOW())
+    WHERE session_id = ${sessionId}
+    RETURNING outcome, experiment_name
+  `;
+  return result.length > 0 ? result[0] : null;
+}
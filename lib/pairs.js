@@ -0,0 +1,37 @@
+// Pair helpers shared by the browser and the API routes
+
+// Pair IDs are the two product IDs sorted alphabetically and joined with "_"
+export function makePairId(idA, idB) {
+  return [idA, idB].sort().join('_');
+}
+
+export function splitPairId(pairId) {
+  return pairId.split('_');
+}
+
+// All possible pairs of distinct products
+export function allPairIds(productIds) {
+  const pairIds = [];
+  for (let i = 0; i < productIds.length; i++) {
+    for (let j = i + 1; j < productIds.length; j++) {
+      pairIds.push(makePairId(productIds[i], productIds[j]));
+    }
+  }
+  return pairIds;
+}
+
+export function shuffleArray(array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Pick the n pairs with the fewest ratings so far; ties are broken randomly
+export function selectLeastCovered(pairIds, counts, n, random = Math.random) {
+  const candidates = shuffleArray([...pairIds], random);
+  // Array.prototype.sort is stable, so the shuffle order survives within equal counts
+  candidates.sort((a, b) => (counts[a] || 0) - (counts[b] || 0));
+  return candidates.slice(0, n);
+}
@@ -0,0 +1,51 @@
+import { assignPairs } from './assignment.js';
+import { loadProducts } from './stimuli.js';
+import { buildArrangementPlan, buildTrialPlan, buildTriadPlan, randomSeed } from './trial-plan.js';
+
+export async function getTrialPlan(sql, sessionId) {
+  const result = await sql`
+    SELECT plan FROM trial_plans WHERE session_id = ${sessionId}
+  `;
+  return result.length > 0 ? result[0].plan : null;
+}
+
+export async function saveTrialPlan(sql, sessionId, plan, source) {
+  await sql`
+    INSERT INTO trial_plans (session_id, seed, source, plan)
+    VALUES (${sessionId}, ${plan.seed ?? null}, ${source}, ${JSON.stringify(plan)})
+  `;
+}
+
+// Generate a seeded plan for a new session: random triplets for triad
+// experiments, one arrangement of all products for spatial arrangement
+// experiments, otherwise the session's balanced pair assignment
+export async function createSessionPlan(sql, {
+  sessionId,
+  experimentName,
+  trialType = 'pair',
+  nPairs,
+  nTriads,
+  catchTrials,
+  repeats
+}) {
+  const products = await loadProducts(experimentName);
+  const productIds = products.map(p => p.id);
+
+  if (trialType === 'triad') {
+    const plan = buildTriadPlan({ productIds, nTriads, seed: randomSeed() });
+    await saveTrialPlan(sql, sessionId, plan, 'server');
+    return plan;
+  }
+
+  if (trialType === 'arrangement') {
+    const plan = buildArrangementPlan({ productIds, seed: randomSeed() });
+    await saveTrialPlan(sql, sessionId, plan, 'server');
+    return plan;
+  }
+
+  const { pairIds } = await assignPairs(sql, { sessionId, experimentName, productIds, nPairs });
+  const plan = buildTrialPlan({ productIds, pairIds, nPairs, catchTrials, repeats, seed: randomSeed() });
+
+  await saveTrialPlan(sql, sessionId, plan, 'server');
+  return plan;
+}
@@ -0,0 +1,159 @@
+// Reliability of the similarity data, used by scripts/reliability.js.
+// Ratings are [{ session_id, pair_id, rating }], one per participant and pair.
+import { shuffleArray } from './pairs.js';
+import { mean, pearson, quantile, sd } from './stats.js';
+import { createRng } from './trial-plan.js';
+
+// Correlations below this mark a participant as a possibly noisy rater
+export const DEFAULT_MIN_CORRELATION = 0.2;
+
+// Spearman-Brown prophecy for a test twice as long (one half -> full sample)
+export function spearmanBrown(r) {
+  return r === null ? null : (2 * r) / (1 + r);
+}
+
+// Mean rating per pair over a set of ratings: Map pair_id -> { sum, n }
+function pairTotals(ratings) {
+  const totals = new Map();
+  ratings.forEach(({ pair_id, rating }) => {
+    const total = totals.get(pair_id) || { sum: 0, n: 0 };
+    total.sum += rating;
+    total.n += 1;
+    totals.set(pair_id, total);
+  });
+  return totals;
+}
+
+function groupBySession(ratings) {
+  const bySession = new Map();
+  ratings.forEach(r => {
+    if (!bySession.has(r.session_id)) bySession.set(r.session_id, []);
+    bySession.get(r.session_id).push(r);
+  });
+  return bySession;
+}
+
+// Split participants into random halves many times and correlate the two
+// halves' pair means (over pairs rated in both). Each split's r is stepped up
+// with Spearman-Brown; the report gives their mean and 95% percentile range.
+export function splitHalfReliability(ratings, { splits = 1000, seed = 1 } = {}) {
+  const bySession = groupBySession(ratings);
+  const sessionIds = [...bySession.keys()];
+  const random = createRng(seed);
+  const correlations = [];
+
+  if (sessionIds.length >= 2) {
+    for (let i = 0; i < splits; i++) {
+      const shuffled = shuffleArray([...sessionIds], random);
+      const half = Math.floor(shuffled.length / 2);
+      const a = pairTotals(shuffled.slice(0, half).flatMap(id => bySession.get(id)));
+      const b = pairTotals(shuffled.slice(half).flatMap(id => bySession.get(id)));
+
+      const xs = [];
+      const ys = [];
+      a.forEach((total, pairId) => {
+        if (!b.has(pairId)) return;
+        xs.push(total.sum / total.n);
+        ys.push(b.get(pairId).sum / b.get(pairId).n);
+      });
+
+      const r = pearson(xs, ys);
+      if (r !== null) correlations.push(r);
+    }
+  }
+
+  const corrected = correlations.map(spearmanBrown);
+  return {
+    n_participants: sessionIds.length,
+    n_splits: correlations.length,
+    r_half: mean(correlations),
+    reliability: mean(corrected),
+    ci_lower: quantile(corrected, 0.025),
+    ci_upper: quantile(corrected, 0.975)
+  };
+}
+
+// Each participant's correlation with the mean of everyone else, over the
+// pairs they rated that someone else also rated
+export function leaveOneOutCorrelations(ratings, { minCorrelation = DEFAULT_MIN_CORRELATION } = {}) {
+  const totals = pairTotals(ratings);
+
+  return [...groupBySession(ratings)].map(([sessionId, own]) => {
+    const xs = [];
+    const ys = [];
+    own.forEach(({ pair_id, rating }) => {
+      const total = totals.get(pair_id);
+      if (total.n < 2) return;
+      xs.push(rating);
+      ys.push((total.sum - rating) / (total.n - 1));
+    });
+
+    const r = pearson(xs, ys);
+    return { session_id: sessionId, n_pairs: xs.length, r, flagged: r !== null && r < minCorrelation };
+  });
+}
+
+// Spread of the ratings of each pair, most disagreed-on first
+export function pairVariance(ratings) {
+  const byPair = new Map();
+  ratings.forEach(({ pair_id, rating }) => {
+    if (!byPair.has(pair_id)) byPair.set(pair_id, []);
+    byPair.get(pair_id).push(rating);
+  });
+
+  return [...byPair]
+    .map(([pairId, values]) => {
+      const s = sd(values);
+      return { pair_id: pairId, n: values.length, mean: mean(values), sd: s, variance: s === null ? null : s ** 2 };
+    })
+    .sort((a, b) => (b.variance ?? -1) - (a.variance ?? -1));
+}
+
+export function reliabilityReport(ratings, options = {}) {
+  return {
+    n_ratings: ratings.length,
+    split_half: splitHalfReliability(ratings, options),
+    participants: leaveOneOutCorrelations(ratings, options),
+    pairs: pairVariance(ratings)
+  };
+}
+
+function format(value, digits = 3) {
+  return value === null || value === undefined ? 'n/a' : value.toFixed(digits);
+}
+
+// The report as Markdown: summary, flagged participants, then the full tables
+export function reliabilityMarkdown(report, title = 'Reliability report') {
+  const { split_half: split, participants, pairs } = report;
+  const flagged = participants.filter(p => p.flagged);
+
+  const lines = [
+    `# ${title}`,
+    '',
+    `${split.n_participants} participants, ${report.n_ratings} ratings, ${pairs.length} pairs.`,
+    '',
+    '## Split-half reliability',
+    '',
+    `Spearman-Brown corrected reliability: **${format(split.reliability)}** ` +
+      `(95% of ${split.n_splits} random splits between ${format(split.ci_lower)} and ${format(split.ci_upper)}; mean half-sample r = ${format(split.r_half)}).`,
+    '',
+    '## Participants',
+    '',
+    flagged.length > 0
+      ? `${flagged.length} participant(s) flagged for a low correlation with the leave-one-out group mean.`
+      : 'No participants flagged.',
+    '',
+    '| session_id | pairs | r | flagged |',
+    '|------------|-------|---|---------|',
+    ...participants.map(p => `| ${p.session_id} | ${p.n_pairs} | ${format(p.r)} | ${p.flagged ? 'yes' : ''} |`),
+    '',
+    '## Pairs by rating variance',
+    '',
+    '| pair_id | n | mean | sd | variance |',
+    '|---------|---|------|----|----------|',
+    ...pairs.map(p => `| ${p.pair_id} | ${p.n} | ${format(p.mean, 1)} | ${format(p.sd, 1)} | ${format(p.variance, 1)} |`),
+    ''
+  ];
+
+  return lines.join('\n');
+}
@@ -0,0 +1,38 @@
+import { mean, pearson } from './stats.js';
+
+// Test-retest statistics for one session's trials. Repeated trials carry
+// repeat_of (the original trial_number) and show the pair with sides swapped,
+// so each repeat also gives one AB/BA comparison of the same pair.
+//   correlation:  Pearson r between first and repeated ratings
+//   meanAbsDiff:  mean |first - repeat|
+//   positionBias: mean (rating shown AB - rating shown BA)
+export function retestStats(trials) {
+  const byNumber = new Map(trials.map(t => [Number(t.trial_number), t]));
+  const first = [];
+  const repeat = [];
+  const abMinusBa = [];
+
+  trials.forEach(trial => {
+    if (trial.repeat_of === null || trial.repeat_of === undefined || trial.repeat_of === '') return;
+
+    const original = byNumber.get(Number(trial.repeat_of));
+    if (!original || !isRating(original.rating) || !isRating(trial.rating)) return;
+
+    const a = Number(original.rating);
+    const b = Number(trial.rating);
+    first.push(a);
+    repeat.push(b);
+    abMinusBa.push(original.position === 'AB' ? a - b : b - a);
+  });
+
+  return {
+    n: first.length,
+    correlation: pearson(first, repeat),
+    meanAbsDiff: mean(first.map((a, i) => Math.abs(a - repeat[i]))),
+    positionBias: mean(abMinusBa)
+  };
+}
+
+function isRating(value) {
+  return value !== null && value !== undefined && value !== '' && !Number.isNaN(Number(value));
+}
@@ -0,0 +1,25 @@
+// Response scales shared by the browser widgets and the API routes
+
+export const SCALE_TYPES = ['slider', 'likert', 'vas', 'binary'];
+
+// Scale assumed for trials submitted without scale metadata (the original 0-100 slider)
+export const DEFAULT_SCALE = { type: 'slider', min: 0, max: 100 };
+
+// Check scale metadata. Returns an error message or null.
+export function validateScale({ type, min, max }) {
+  if (!SCALE_TYPES.includes(type)) {
+    return `scale_type must be one of ${SCALE_TYPES.join(', ')}`;
+  }
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+    return 'scale_min and scale_max must be integers with scale_min < scale_max';
+  }
+  return null;
+}
+
+// Ratings are whole numbers within the scale's range. Returns an error message or null.
+export function validateRating(rating, { min, max }) {
+  if (typeof rating !== 'number' || !Number.isInteger(rating) || rating < min || rating > max) {
+    return `Rating must be between ${min} and ${max}`;
+  }
+  return null;
+}
@@ -0,0 +1,98 @@
+// Declarative checks for API request bodies and query strings. A schema maps
+// each field to a spec:
+//   type       uuid, string, integer, number, boolean, object or array
+//   required   missing, null and '' are errors (otherwise they mean "not given")
+//   default    value used when the field isn't given
+//   values     allowed values (an enum)
+//   min, max   range of a number, or length of a string or array
+//   check      function (value) returning an error message or null, for
+//              anything the rest can't express
+// Problems come back per field as { field, message }.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Query-string values arrive as text; `parse` turns them into the type first
+const TYPES = {
+  uuid: { test: isUuid, expected: 'a UUID' },
+  string: { test: value => typeof value === 'string', expected: 'a string' },
+  integer: { test: Number.isInteger, expected: 'an integer', parse: Number },
+  number: { test: Number.isFinite, expected: 'a number', parse: Number },
+  boolean: {
+    test: value => typeof value === 'boolean',
+    expected: 'true or false',
+    parse: value => ({ true: true, 1: true, false: false, 0: false })[value] ?? value
+  },
+  object: { test: value => typeof value === 'object' && !Array.isArray(value), expected: 'an object' },
+  array: { test: Array.isArray, expected: 'an array' }
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function rangeError(field, spec, value) {
+  const { min, max } = spec;
+  const isLength = spec.type === 'string' || spec.type === 'array';
+  const size = isLength ? value.length : value;
+  if ((min === undefined || size >= min) && (max === undefined || size <= max)) return null;
+
+  const unit = spec.type === 'string' ? ' characters' : isLength ? ' items' : '';
+  const subject = isLength ? `${field} must have` : `${field} must be`;
+  if (min !== undefined && max !== undefined) return `${subject} between ${min} and ${max}${unit}`;
+  return min !== undefined ? `${subject} at least ${min}${unit}` : `${subject} at most ${max}${unit}`;
+}
+
+function fieldError(field, spec, value) {
+  const type = TYPES[spec.type];
+  if (type && !type.test(value)) {
+    return `${field} must be ${type.expected}`;
+  }
+  if (spec.values && !spec.values.includes(value)) {
+    return `${field} must be one of ${spec.values.join(', ')}`;
+  }
+  return rangeError(field, spec, value) || (spec.check ? spec.check(value) : null);
+}
+
+// Check input against a schema. Returns { values, problems }: the declared
+// fields that were given (or defaulted), and one problem per bad field.
+export function validateSchema(schema, input, { fromQuery = false } = {}) {
+  const values = {};
+  const problems = [];
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    let value = input ? input[field] : undefined;
+
+    if (isMissing(value)) {
+      if (spec.required) {
+        problems.push({ field, message: `${field} is required` });
+      } else if (spec.default !== undefined) {
+        values[field] = spec.default;
+      }
+      return;
+    }
+
+    const type = TYPES[spec.type];
+    if (fromQuery && type && type.parse) {
+      value = type.parse(value);
+    }
+
+    const message = fieldError(field, spec, value);
+    if (message) {
+      problems.push({ field, message });
+    } else {
+      values[field] = value;
+    }
+  });
+
+  return { values, problems };
+}
+
+// The error body for a list of problems: every message in `error`, and the
+// problems themselves so a client can point at the fields
+export function problemsBody(problems) {
+  return { error: problems.map(p => p.message).join('; '), fields: problems };
+}
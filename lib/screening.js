@@ -0,0 +1,67 @@
+// Screening questions and eligibility rules, shared by the browser and the
+// API routes. Both come from the stimulus file's "screening" key when it has
+// one, otherwise from CONFIG.SCREENING.
+//
+// Rules are plain JSON so they can live in either place:
+//   { question: 'coffee', equals: 'yes' }
+//   { question: 'shopping', in: ['monthly', 'weekly'] }
+//   { all: [rule, ...] }, { any: [rule, ...] }, { not: rule }
+// A missing rule means everyone is eligible.
+
+export function resolveScreening(stimuli, config) {
+  return (stimuli && stimuli.screening) || config.SCREENING || { questions: [], eligibility: null };
+}
+
+// True if the answers satisfy the rule
+export function evaluateRule(rule, answers) {
+  if (!rule) return true;
+
+  if (Array.isArray(rule.all)) {
+    return rule.all.every(r => evaluateRule(r, answers));
+  }
+  if (Array.isArray(rule.any)) {
+    return rule.any.some(r => evaluateRule(r, answers));
+  }
+  if (rule.not) {
+    return !evaluateRule(rule.not, answers);
+  }
+  if (rule.question) {
+    const answer = answers[rule.question];
+    if (Array.isArray(rule.in)) return rule.in.includes(answer);
+    if ('equals' in rule) return answer === rule.equals;
+  }
+
+  throw new Error(`Invalid eligibility rule: ${JSON.stringify(rule)}`);
+}
+
+// Check that every question has exactly one of its options as the answer.
+// Returns an error message or null.
+export function validateScreeningAnswers(answers, questions) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return 'answers must be an object of question id to answer';
+  }
+
+  for (const question of questions) {
+    const values = question.options.map(option => option.value);
+    if (!values.includes(answers[question.id])) {
+      return `answers.${question.id} must be one of ${values.join(', ')}`;
+    }
+  }
+
+  const known = new Set(questions.map(q => q.id));
+  const unknown = Object.keys(answers).find(id => !known.has(id));
+  if (unknown) {
+    return `answers.${unknown} is not a screening question`;
+  }
+
+  return null;
+}
+
+// True once a participant is out of comprehension-check attempts: maxAttempts
+// attempts (in order, as stored in sessions.comprehension_answers) without a
+// pass among them. Passing after that doesn't count, and a null or 0
+// maxAttempts allows unlimited retries.
+export function comprehensionScreenedOut(attempts, maxAttempts) {
+  if (!maxAttempts || attempts.length < maxAttempts) return false;
+  return !attempts.slice(0, maxAttempts).some(attempt => attempt.passed);
+}
@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import { secretsEqual } from './auth.js';
+
+// Session-scoped write tokens. POST /api/session hands the participant's
+// browser a token for its session, and every route that writes to a session
+// requires it, so knowing a session_id isn't enough to post to it.
+// A token is "<expires_at_ms>.<signature>", the signature an HMAC-SHA256 of
+// the session_id and expiry under SESSION_TOKEN_SECRET.
+
+export const SESSION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+function sign(sessionId, expiresAt, secret) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${sessionId.toLowerCase()}.${expiresAt}`)
+    .digest('base64url');
+}
+
+export function createSessionToken(sessionId, secret, now = Date.now(), ttlMs = SESSION_TOKEN_TTL_MS) {
+  if (!secret) {
+    throw new Error('SESSION_TOKEN_SECRET is not set');
+  }
+  const expiresAt = now + ttlMs;
+  return `${expiresAt}.${sign(sessionId, expiresAt, secret)}`;
+}
+
+// Whether the token was issued for this session with this secret and hasn't expired
+export function verifySessionToken(token, sessionId, secret, now = Date.now()) {
+  if (!secret || typeof token !== 'string' || typeof sessionId !== 'string') return false;
+
+  const match = token.match(/^(\d+)\.([\w-]+)$/);
+  if (!match || Number(match[1]) < now) return false;
+  return secretsEqual(match[2], sign(sessionId, match[1], secret));
+}
@@ -0,0 +1,77 @@
+// Small descriptive statistics helpers shared by the export and analysis code
+
+export function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Quantile with linear interpolation between order statistics (p in 0-1)
+export function quantile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Sample standard deviation (n - 1)
+export function sd(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  const squares = values.reduce((sum, v) => sum + (v - m) ** 2, 0);
+  return Math.sqrt(squares / (values.length - 1));
+}
+
+// Pearson correlation; null when undefined (fewer than 3 points or no variance)
+export function pearson(xs, ys) {
+  if (xs.length !== ys.length || xs.length < 3) return null;
+
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// Two-sided 95% critical values of Student's t for 1-30 degrees of freedom
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Beyond the table, the Cornish-Fisher expansion around z = 1.96 is accurate to 3 decimals
+export function tCritical95(df) {
+  if (df <= T_CRITICAL_95.length) return T_CRITICAL_95[df - 1];
+  const z = 1.959964;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2);
+}
+
+// Mean, SD, n and the t-based 95% confidence interval of the mean
+export function meanCI(values) {
+  const n = values.length;
+  const m = mean(values);
+  const s = sd(values);
+  if (s === null) {
+    return { mean: m, sd: null, n, ci_lower: null, ci_upper: null };
+  }
+  const halfWidth = tCritical95(n - 1) * s / Math.sqrt(n);
+  return { mean: m, sd: s, n, ci_lower: m - halfWidth, ci_upper: m + halfWidth };
+}
@@ -0,0 +1,23 @@
+import fs from 'fs/promises';
+
+// stimuli/ next to this module's lib/, wherever the process was started from
+const STIMULI_DIR = new URL('../stimuli/', import.meta.url);
+
+// Experiment names map directly to files in stimuli/, so only allow plain names
+const EXPERIMENT_NAME_PATTERN = /^[\w-]+$/;
+
+// Load the stimulus set for an experiment from stimuli/<experiment_name>.json
+export async function loadStimuli(experimentName) {
+  if (!EXPERIMENT_NAME_PATTERN.test(experimentName || '')) {
+    throw new Error(`Invalid experiment name: ${experimentName}`);
+  }
+
+  const fileUrl = new URL(`${experimentName}.json`, STIMULI_DIR);
+  const data = JSON.parse(await fs.readFile(fileUrl, 'utf8'));
+  return data;
+}
+
+export async function loadProducts(experimentName) {
+  const data = await loadStimuli(experimentName);
+  return data.products || [];
+}
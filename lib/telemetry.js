@@ -0,0 +1,112 @@
+// Interaction telemetry, shared by the browser (which collects it) and the
+// API routes (which check it and store it with the trial or session).
+//
+// Per trial the client sends { trajectory, focus_events }:
+//   trajectory:   [[t_ms, value], ...] every response change, t_ms from trial start
+//   focus_events: [{ type, t_ms }, ...] window blur/focus and tab hidden/visible
+// Per session it sends { tab_switches, time_away_ms, blur_count, time_blurred_ms }.
+
+export const FOCUS_EVENT_TYPES = ['blur', 'focus', 'hidden', 'visible'];
+
+// Caps that keep a trial's data row small; the browser stops adding samples
+// at these (keeping the final value), so only a tampered request exceeds them
+export const MAX_TRAJECTORY_SAMPLES = 500;
+export const MAX_FOCUS_EVENTS = 100;
+
+const SESSION_FIELDS = ['tab_switches', 'time_away_ms', 'blur_count', 'time_blurred_ms'];
+
+function isTime(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Check a trial's telemetry (optional, so none is fine). Returns an error message or null.
+export function validateTrialTelemetry(telemetry) {
+  if (telemetry === undefined || telemetry === null) return null;
+  if (typeof telemetry !== 'object' || Array.isArray(telemetry)) {
+    return 'telemetry must be an object';
+  }
+
+  const { trajectory = [], focus_events = [] } = telemetry;
+
+  if (!Array.isArray(trajectory) || trajectory.length > MAX_TRAJECTORY_SAMPLES) {
+    return `telemetry.trajectory must be an array of at most ${MAX_TRAJECTORY_SAMPLES} samples`;
+  }
+  const validSample = sample => Array.isArray(sample) && sample.length === 2 && isTime(sample[0])
+    && (typeof sample[1] === 'number' || typeof sample[1] === 'string');
+  if (!trajectory.every(validSample)) {
+    return 'telemetry.trajectory samples must be [t_ms, value]';
+  }
+
+  if (!Array.isArray(focus_events) || focus_events.length > MAX_FOCUS_EVENTS) {
+    return `telemetry.focus_events must be an array of at most ${MAX_FOCUS_EVENTS} events`;
+  }
+  if (!focus_events.every(e => e && FOCUS_EVENT_TYPES.includes(e.type) && isTime(e.t_ms))) {
+    return `telemetry.focus_events must be { type, t_ms } with type one of ${FOCUS_EVENT_TYPES.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Changes of direction in a sequence of numbers (holding still doesn't count)
+export function countReversals(values) {
+  let reversals = 0;
+  let direction = 0;
+  for (let i = 1; i < values.length; i++) {
+    const step = Math.sign(values[i] - values[i - 1]);
+    if (step === 0) continue;
+    if (direction !== 0 && step !== direction) reversals++;
+    direction = step;
+  }
+  return reversals;
+}
+
+// Time spent between each `away` event and the next `back` event (or endMs)
+export function timeAway(events, away, back, endMs) {
+  let total = 0;
+  let awaySince = null;
+  [...events].sort((a, b) => a.t_ms - b.t_ms).forEach(({ type, t_ms }) => {
+    if (type === away && awaySince === null) {
+      awaySince = t_ms;
+    } else if (type === back && awaySince !== null) {
+      total += t_ms - awaySince;
+      awaySince = null;
+    }
+  });
+  if (awaySince !== null && endMs !== undefined) {
+    total += Math.max(0, endMs - awaySince);
+  }
+  return total;
+}
+
+// What's stored in the trial's data.telemetry: the raw samples plus measures
+// derived from them, so every trial is summarised the same way
+export function summarizeTrialTelemetry({ trajectory = [], focus_events = [] }, responseTimeMs) {
+  const numeric = trajectory.every(([, value]) => typeof value === 'number');
+  return {
+    trajectory,
+    focus_events,
+    first_movement_ms: trajectory.length > 0 ? trajectory[0][0] : null,
+    n_changes: trajectory.length,
+    reversals: numeric ? countReversals(trajectory.map(([, value]) => value)) : null,
+    blur_count: focus_events.filter(e => e.type === 'blur').length,
+    hidden_count: focus_events.filter(e => e.type === 'hidden').length,
+    time_hidden_ms: timeAway(focus_events, 'hidden', 'visible', responseTimeMs)
+  };
+}
+
+// Check session-level telemetry (optional, so none is fine). Returns an error message or null.
+export function validateSessionTelemetry(telemetry) {
+  if (telemetry === undefined || telemetry === null) return null;
+  if (typeof telemetry !== 'object' || Array.isArray(telemetry)) {
+    return 'telemetry must be an object';
+  }
+  if (!SESSION_FIELDS.every(field => isTime(telemetry[field]))) {
+    return `telemetry must have ${SESSION_FIELDS.join(', ')} as non-negative integers`;
+  }
+  return null;
+}
+
+// Only the known fields are stored
+export function sessionTelemetry(telemetry) {
+  return Object.fromEntries(SESSION_FIELDS.map(field => [field, telemetry[field]]));
+}
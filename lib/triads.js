@@ -0,0 +1,23 @@
+// Triad ("odd one out") trials, shared by the browser and the API routes.
+// Participants see three products and pick the one least like the other two.
+
+// Check a triad response. Returns an error message or null.
+export function validateTriad({ items, odd_one_out }) {
+  if (!Array.isArray(items) || items.length !== 3 || !items.every(id => typeof id === 'string' && id)) {
+    return 'items must be an array of three product IDs';
+  }
+  if (new Set(items).size !== 3) {
+    return 'items must be three different products';
+  }
+  if (!items.includes(odd_one_out)) {
+    return 'odd_one_out must be one of items';
+  }
+  return null;
+}
+
+// The two items that were not picked form the implied "more similar" pair,
+// which is what triplet embedding methods are fitted on
+export function triadChoice(items, oddOneOut) {
+  const similar = items.filter(id => id !== oddOneOut).sort();
+  return { similar, oddOneOut };
+}
@@ -0,0 +1,326 @@
+// Seeded trial plans shared by the browser and the API routes.
+// A plan fixes the trial order, left/right sides and catch-trial placement,
+// so the same seed and pairs always produce the same sequence.
+import { makePairId, allPairIds, splitPairId, shuffleArray } from './pairs.js';
+import { CATCH_TYPES } from './attention.js';
+
+// One identical-pair check, as in the original design
+const DEFAULT_CATCH_TRIALS = { identical: { count: 1 } };
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Position is AB if the alphabetically first ID is on the left.
+// This must match how pairId is constructed (alphabetically sorted)
+function positionFor(leftId, rightId) {
+  const [sortedFirst] = [leftId, rightId].sort();
+  return leftId === sortedFirst ? 'AB' : 'BA';
+}
+
+// Build a plan of nPairs regular trials plus the configured catch trials and
+// repeated pairs. pairIds are the assigned pairs; without them all pairs are
+// shuffled and the first nPairs are used.
+export function buildTrialPlan({
+  productIds,
+  pairIds = null,
+  nPairs,
+  seed,
+  catchTrials = DEFAULT_CATCH_TRIALS,
+  repeats = null
+}) {
+  const random = createRng(seed);
+
+  const regularPairIds = pairIds && pairIds.length > 0
+    ? shuffleArray([...pairIds], random).slice(0, nPairs)
+    : shuffleArray(allPairIds(productIds), random).slice(0, nPairs);
+
+  const entries = regularPairIds.map(pairId => ({
+    productIds: splitPairId(pairId),
+    isCatchTrial: false
+  }));
+
+  entries.push(...buildCatchEntries(productIds, catchTrials, random));
+
+  // Shuffle again to randomize catch trial positions
+  shuffleArray(entries, random);
+
+  let trials = entries.map(entry => {
+    const [idA, idB] = entry.productIds;
+
+    // Randomly assign left/right
+    const aOnLeft = random() < 0.5;
+    const leftId = aOnLeft ? idA : idB;
+    const rightId = aOnLeft ? idB : idA;
+
+    const trial = {
+      trial_number: null,
+      pair_id: makePairId(idA, idB),
+      position: positionFor(leftId, rightId),
+      left_product_id: leftId,
+      right_product_id: rightId,
+      is_catch_trial: entry.isCatchTrial
+    };
+
+    if (entry.catchType) {
+      trial.catch_type = entry.catchType;
+    }
+    if (entry.target !== undefined) {
+      trial.target = entry.target;
+    }
+
+    return trial;
+  });
+
+  if (repeats && repeats.count > 0) {
+    trials = insertRepeats(trials, repeats, random);
+  }
+
+  // Number the final sequence, then point each repeat at its original's number
+  trials.forEach((trial, index) => {
+    trial.trial_number = index + 1;
+  });
+  trials.forEach(trial => {
+    if (trial.repeat_of) {
+      trial.repeat_of = trial.repeat_of.trial_number;
+    }
+  });
+
+  return { seed, trials };
+}
+
+// Re-present `count` random regular pairs later in the sequence with left and
+// right swapped, at least `minGap` trials after the original where possible.
+// repeat_of holds the original trial until the plan is numbered.
+function insertRepeats(trials, { count, minGap = 0 }, random) {
+  const result = [...trials];
+  const originals = shuffleArray(trials.filter(t => !t.is_catch_trial), random).slice(0, count);
+
+  originals.forEach(original => {
+    const earliest = result.indexOf(original) + minGap + 1;
+    const index = earliest >= result.length
+      ? result.length
+      : earliest + Math.floor(random() * (result.length - earliest + 1));
+
+    result.splice(index, 0, {
+      trial_number: null,
+      pair_id: original.pair_id,
+      position: original.position === 'AB' ? 'BA' : 'AB',
+      left_product_id: original.right_product_id,
+      right_product_id: original.left_product_id,
+      is_catch_trial: false,
+      repeat_of: original
+    });
+  });
+
+  return result;
+}
+
+function randomProductId(productIds, random) {
+  return productIds[Math.floor(random() * productIds.length)];
+}
+
+// Catch trials for each configured type:
+// - identical: the same product on both sides
+// - instructed: a random pair with an instruction to give a specific rating
+// - dissimilar: anchor pairs from the config that are obviously different
+function buildCatchEntries(productIds, catchTrials, random) {
+  const entries = [];
+  const { identical, instructed, dissimilar } = catchTrials;
+
+  // Use a different product for each identical pair where possible
+  const identicalIds = shuffleArray([...productIds], random);
+  for (let i = 0; i < ((identical && identical.count) || 0); i++) {
+    const productId = identicalIds[i % identicalIds.length];
+    entries.push({ productIds: [productId, productId], isCatchTrial: true, catchType: 'identical' });
+  }
+
+  for (let i = 0; i < ((instructed && instructed.count) || 0) && productIds.length > 1; i++) {
+    const idA = randomProductId(productIds, random);
+    const others = productIds.filter(id => id !== idA);
+    const idB = randomProductId(others, random);
+    entries.push({ productIds: [idA, idB], isCatchTrial: true, catchType: 'instructed', target: instructed.target });
+  }
+
+  if (dissimilar && dissimilar.count > 0) {
+    const known = new Set(productIds);
+    const anchors = (dissimilar.pairs || []).filter(([idA, idB]) => known.has(idA) && known.has(idB) && idA !== idB);
+    shuffleArray(anchors, random)
+      .slice(0, dissimilar.count)
+      .forEach(pair => {
+        entries.push({ productIds: [...pair], isCatchTrial: true, catchType: 'dissimilar' });
+      });
+  }
+
+  return entries;
+}
+
+// Build a plan of nTriads "odd one out" trials: distinct random triplets of
+// products, each shown in a random order
+export function buildTriadPlan({ productIds, nTriads, seed }) {
+  const random = createRng(seed);
+  const seen = new Set();
+  const trials = [];
+
+  // Stop early if the product set doesn't have enough distinct triplets
+  const maxAttempts = nTriads * 50;
+  for (let attempt = 0; attempt < maxAttempts && trials.length < nTriads && productIds.length >= 3; attempt++) {
+    const items = shuffleArray([...productIds], random).slice(0, 3);
+    const key = [...items].sort().join('_');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    trials.push({
+      trial_number: trials.length + 1,
+      trial_type: 'triad',
+      items,
+      is_catch_trial: false
+    });
+  }
+
+  return { seed, trials };
+}
+
+// Build a single spatial-arrangement trial with every product, in a random
+// order that sets the starting layout on the canvas
+export function buildArrangementPlan({ productIds, seed }) {
+  const random = createRng(seed);
+
+  return {
+    seed,
+    trials: [{
+      trial_number: 1,
+      trial_type: 'arrangement',
+      items: shuffleArray([...productIds], random),
+      is_catch_trial: false
+    }]
+  };
+}
+
+// Check the shape of a plan supplied by a client. Returns an error message or null.
+export function validateTrialPlan(plan, productIds = null) {
+  if (!plan || !Array.isArray(plan.trials) || plan.trials.length === 0) {
+    return 'trial_plan.trials must be a non-empty array';
+  }
+
+  const knownIds = productIds ? new Set(productIds) : null;
+
+  for (let i = 0; i < plan.trials.length; i++) {
+    const trial = plan.trials[i];
+    const label = `trial_plan.trials[${i}]`;
+
+    if (!trial || trial.trial_number !== i + 1) {
+      return `${label}.trial_number must be ${i + 1}`;
+    }
+    if (trial.trial_type === 'triad') {
+      const items = trial.items;
+      if (!Array.isArray(items) || items.length !== 3 || new Set(items).size !== 3) {
+        return `${label}.items must be three different product IDs`;
+      }
+      if (knownIds && !items.every(id => knownIds.has(id))) {
+        return `${label} references an unknown product`;
+      }
+      continue;
+    }
+    if (trial.trial_type === 'arrangement') {
+      const items = trial.items;
+      if (!Array.isArray(items) || items.length < 2 || new Set(items).size !== items.length) {
+        return `${label}.items must be at least two different product IDs`;
+      }
+      if (knownIds && !items.every(id => knownIds.has(id))) {
+        return `${label} references an unknown product`;
+      }
+      continue;
+    }
+    if (typeof trial.left_product_id !== 'string' || typeof trial.right_product_id !== 'string') {
+      return `${label} must have left_product_id and right_product_id`;
+    }
+    if (knownIds && (!knownIds.has(trial.left_product_id) || !knownIds.has(trial.right_product_id))) {
+      return `${label} references an unknown product`;
+    }
+    if (trial.pair_id !== makePairId(trial.left_product_id, trial.right_product_id)) {
+      return `${label}.pair_id does not match its products`;
+    }
+    if (trial.position !== positionFor(trial.left_product_id, trial.right_product_id)) {
+      return `${label}.position does not match its products`;
+    }
+    if (typeof trial.is_catch_trial !== 'boolean') {
+      return `${label}.is_catch_trial must be a boolean`;
+    }
+    if (trial.catch_type !== undefined && (!trial.is_catch_trial || !CATCH_TYPES.includes(trial.catch_type))) {
+      return `${label}.catch_type must be one of ${CATCH_TYPES.join(', ')} on a catch trial`;
+    }
+    if (trial.repeat_of !== undefined) {
+      const original = plan.trials[trial.repeat_of - 1];
+      if (!original || trial.repeat_of >= trial.trial_number || original.pair_id !== trial.pair_id) {
+        return `${label}.repeat_of must point to an earlier trial of the same pair`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Compare a submitted trial with the planned one. Returns an error message or null.
+export function checkTrialAgainstPlan(plan, submitted) {
+  const planned = plan.trials.find(t => t.trial_number === submitted.trial_number);
+
+  if (!planned) {
+    return `Trial ${submitted.trial_number} is not part of this session's plan`;
+  }
+
+  if ((submitted.trial_type || 'pair') !== (planned.trial_type || 'pair')) {
+    return `Trial ${submitted.trial_number} does not match the session plan (trial_type)`;
+  }
+
+  if (planned.trial_type === 'triad') {
+    const sameItems = Array.isArray(submitted.items)
+      && submitted.items.length === planned.items.length
+      && submitted.items.every((id, index) => id === planned.items[index]);
+    return sameItems ? null : `Trial ${submitted.trial_number} does not match the session plan (items)`;
+  }
+
+  // Arranged items can be submitted in any order, but must be the planned set
+  if (planned.trial_type === 'arrangement') {
+    const plannedItems = new Set(planned.items);
+    const sameItems = Array.isArray(submitted.items)
+      && submitted.items.length === plannedItems.size
+      && submitted.items.every(id => plannedItems.has(id));
+    return sameItems ? null : `Trial ${submitted.trial_number} does not match the session plan (items)`;
+  }
+
+  const mismatched = ['pair_id', 'position', 'left_product_id', 'right_product_id']
+    .filter(field => submitted[field] !== undefined && submitted[field] !== planned[field]);
+
+  if (Boolean(submitted.is_catch_trial) !== planned.is_catch_trial) {
+    mismatched.push('is_catch_trial');
+  }
+
+  if (submitted.catch_type !== undefined && submitted.catch_type !== null && planned.catch_type
+    && submitted.catch_type !== planned.catch_type) {
+    mismatched.push('catch_type');
+  }
+
+  if (submitted.repeat_of !== undefined && submitted.repeat_of !== null
+    && submitted.repeat_of !== planned.repeat_of) {
+    mismatched.push('repeat_of');
+  }
+
+  if (mismatched.length > 0) {
+    return `Trial ${submitted.trial_number} does not match the session plan (${mismatched.join(', ')})`;
+  }
+
+  return null;
+}
@@ -0,0 +1,154 @@
+// Validation and storage of a single trial submission (a rated pair or a
+// triad), shared by POST /api/trial and POST /api/trials/batch so both
+// accept exactly the same trials.
+
+import { CATCH_TYPES } from './attention.js';
+import { validateIdempotencyKey } from './idempotency.js';
+import { DEFAULT_SCALE, SCALE_TYPES, validateRating, validateScale } from './scales.js';
+import { validateSchema } from './schema.js';
+import { summarizeTrialTelemetry, validateTrialTelemetry } from './telemetry.js';
+import { validateTriad } from './triads.js';
+import { checkTrialAgainstPlan } from './trial-plan.js';
+
+// Fields every trial has (see lib/schema.js)
+const TRIAL_SCHEMA = {
+  session_id: { type: 'uuid', required: true },
+  trial_number: { type: 'integer', required: true, min: 1 },
+  response_time_ms: { type: 'integer', required: true, min: 0 },
+  telemetry: { check: validateTrialTelemetry },
+  idempotency_key: { check: validateIdempotencyKey }
+};
+
+export const PAIR_TRIAL_SCHEMA = {
+  ...TRIAL_SCHEMA,
+  pair_id: { type: 'string', required: true },
+  position: { type: 'string', required: true, values: ['AB', 'BA'] },
+  rating: { type: 'integer', required: true },
+  scale_type: { type: 'string', values: SCALE_TYPES },
+  scale_min: { type: 'integer' },
+  scale_max: { type: 'integer' },
+  is_catch_trial: { type: 'boolean' },
+  catch_type: { type: 'string', values: CATCH_TYPES },
+  target: { type: 'number' },
+  repeat_of: { type: 'integer', min: 1 }
+};
+
+export const TRIAD_TRIAL_SCHEMA = {
+  ...TRIAL_SCHEMA,
+  items: { type: 'array', required: true },
+  odd_one_out: { type: 'string', required: true }
+};
+
+// Trials without scale metadata use the 0-100 slider
+function submittedScale({ scale_type, scale_min, scale_max }) {
+  return scale_type === undefined || scale_type === null
+    ? DEFAULT_SCALE
+    : { type: scale_type, min: scale_min, max: scale_max };
+}
+
+// Checks between fields, once each field is fine on its own
+function pairProblems({ trial_number, rating, is_catch_trial, catch_type, repeat_of, ...body }) {
+  const scale = submittedScale(body);
+  const scaleError = validateScale(scale);
+  if (scaleError) {
+    return [{ field: 'scale_type', message: scaleError }];
+  }
+
+  const problems = [];
+  const ratingError = validateRating(rating, scale);
+  if (ratingError) {
+    problems.push({ field: 'rating', message: ratingError });
+  }
+  if (catch_type !== undefined && catch_type !== null && !is_catch_trial) {
+    problems.push({ field: 'catch_type', message: 'catch_type is only allowed on a catch trial' });
+  }
+  if (repeat_of !== undefined && repeat_of !== null && repeat_of >= trial_number) {
+    problems.push({ field: 'repeat_of', message: 'repeat_of must be an earlier trial_number' });
+  }
+  return problems;
+}
+
+// Check a submission on its own (the plan is checked separately, since it has
+// to be loaded). Returns a list of { field, message } problems, empty if valid.
+export function validateTrialSubmission(body) {
+  const isTriad = body.trial_type === 'triad';
+  const { problems } = validateSchema(isTriad ? TRIAD_TRIAL_SCHEMA : PAIR_TRIAL_SCHEMA, body);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  if (isTriad) {
+    const triadError = validateTriad(body);
+    return triadError ? [{ field: 'items', message: triadError }] : [];
+  }
+  return pairProblems(body);
+}
+
+// Check a submission against the plan fixed at session creation
+export function checkSubmissionAgainstPlan(plan, body) {
+  if (body.trial_type === 'triad') {
+    return checkTrialAgainstPlan(plan, { trial_number: body.trial_number, trial_type: 'triad', items: body.items });
+  }
+
+  const { trial_number, pair_id, position, left_product_id, right_product_id, is_catch_trial, catch_type, repeat_of } = body;
+  return checkTrialAgainstPlan(plan, { trial_number, pair_id, position, left_product_id, right_product_id, is_catch_trial, catch_type, repeat_of });
+}
+
+// The trials row for a valid submission. Triads keep their items and choice in
+// data; pairs keep left/right product IDs, catch-trial and repeat details there.
+export function trialRow(body) {
+  const { session_id, trial_number, response_time_ms, telemetry, idempotency_key } = body;
+  const row = {
+    session_id,
+    trial_number,
+    pair_id: null,
+    position: null,
+    rating: null,
+    scale_type: null,
+    scale_min: null,
+    scale_max: null,
+    response_time_ms,
+    is_catch_trial: false,
+    data: null,
+    idempotency_key: idempotency_key || null
+  };
+
+  let data = {};
+  if (body.trial_type === 'triad') {
+    data = { trial_type: 'triad', items: body.items, odd_one_out: body.odd_one_out };
+  } else {
+    const { pair_id, position, left_product_id, right_product_id, rating, is_catch_trial, catch_type, target, repeat_of } = body;
+    const scale = submittedScale(body);
+    Object.assign(row, {
+      pair_id,
+      position,
+      rating,
+      scale_type: scale.type,
+      scale_min: scale.min,
+      scale_max: scale.max,
+      is_catch_trial: is_catch_trial || false
+    });
+
+    if (left_product_id && right_product_id) {
+      Object.assign(data, { left_product_id, right_product_id });
+    }
+    if (catch_type) {
+      data.catch_type = catch_type;
+    }
+    if (catch_type === 'instructed' && typeof target === 'number') {
+      data.target = target;
+    }
+    if (repeat_of) {
+      data.repeat_of = repeat_of;
+    }
+  }
+
+  if (telemetry) {
+    data.telemetry = summarizeTrialTelemetry(telemetry, response_time_ms);
+  }
+  if (Object.keys(data).length > 0) {
+    row.data = JSON.stringify(data);
+  }
+
+  return row;
+}
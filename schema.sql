@@ -13,7 +13,15 @@ CREATE TABLE IF NOT EXISTS sessions (
   gender TEXT,
   started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   completed_at TIMESTAMP WITH TIME ZONE,
-  total_duration_ms INTEGER
+  total_duration_ms INTEGER,
+  attention_score REAL,            -- share of catch trials passed (set on completion)
+  attention_passed BOOLEAN,        -- whether attention_score met the pass threshold
+  screening_answers JSONB,         -- every screening submission: [{ answers, eligible, submitted_at }]
+  screening_passed BOOLEAN,        -- eligibility decided by the first submission
+  comprehension_answers JSONB,     -- every comprehension-check attempt: [{ answers, incorrect, passed, submitted_at }]
+  outcome TEXT,                    -- completed, screened_out, no_consent, failed_attention or returned
+  outcome_at TIMESTAMP WITH TIME ZONE,
+  telemetry JSONB                  -- page-level telemetry: { tab_switches, time_away_ms, blur_count, time_blurred_ms }
 );
 
 -- Trials table (flexible schema via JSONB data column)
@@ -23,15 +31,66 @@ CREATE TABLE IF NOT EXISTS trials (
   pair_id TEXT,                    -- nullable for non-pair experiments
   position TEXT,                   -- nullable for non-pair experiments
   rating INTEGER,
+  scale_type TEXT,                 -- response widget: slider, likert, vas or binary
+  scale_min INTEGER,               -- lowest possible rating on that scale
+  scale_max INTEGER,               -- highest possible rating on that scale
   response_time_ms INTEGER NOT NULL,
   is_catch_trial BOOLEAN DEFAULT FALSE,
   data JSONB,                      -- flexible storage for experiment-specific fields
+  idempotency_key TEXT,            -- client-generated key of the submission, so retries are recognised
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   PRIMARY KEY (session_id, trial_number)
 );
 
+-- Pair assignments (balanced coverage of pairs across sessions)
+CREATE TABLE IF NOT EXISTS pair_assignments (
+  session_id UUID NOT NULL REFERENCES sessions(session_id),
+  experiment_name TEXT NOT NULL,
+  pair_id TEXT NOT NULL,
+  position INTEGER NOT NULL,       -- order in which the pairs were assigned
+  assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (session_id, pair_id)
+);
+
+-- Trial plans (the full trial sequence, fixed when the session is created)
+CREATE TABLE IF NOT EXISTS trial_plans (
+  session_id UUID PRIMARY KEY REFERENCES sessions(session_id),
+  seed BIGINT,                     -- PRNG seed used to generate the plan (null if unknown)
+  source TEXT NOT NULL,            -- 'server' (generated) or 'client' (supplied)
+  plan JSONB NOT NULL,             -- { seed, trials: [{ trial_number, pair_id, position, ... }] }
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Exclusions (participants excluded from analysis and why; rebuilt per
+-- experiment by POST /api/exclusions from CONFIG.EXCLUSION_RULES)
+CREATE TABLE IF NOT EXISTS exclusions (
+  session_id UUID NOT NULL REFERENCES sessions(session_id),
+  experiment_name TEXT NOT NULL,
+  reason TEXT NOT NULL,            -- incomplete, catch_rating, fast_responses, straight_lining or low_group_correlation
+  value REAL,                      -- the session's value for the rule (e.g. its median response time)
+  threshold REAL,                  -- the rule's threshold when it was applied
+  decided_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (session_id, reason)
+);
+
 -- Indexes
 CREATE INDEX IF NOT EXISTS idx_sessions_prolific_pid ON sessions(prolific_pid);
 CREATE INDEX IF NOT EXISTS idx_sessions_completed ON sessions(completed_at);
 CREATE INDEX IF NOT EXISTS idx_sessions_experiment ON sessions(experiment_name);
 CREATE INDEX IF NOT EXISTS idx_trials_session ON trials(session_id);
+CREATE INDEX IF NOT EXISTS idx_pair_assignments_experiment ON pair_assignments(experiment_name, assigned_at);
+CREATE INDEX IF NOT EXISTS idx_exclusions_experiment ON exclusions(experiment_name);
+
+-- Migrations (columns added after the tables were first created)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS attention_score REAL;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS attention_passed BOOLEAN;
+ALTER TABLE trials ADD COLUMN IF NOT EXISTS scale_type TEXT;
+ALTER TABLE trials ADD COLUMN IF NOT EXISTS scale_min INTEGER;
+ALTER TABLE trials ADD COLUMN IF NOT EXISTS scale_max INTEGER;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS screening_answers JSONB;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS screening_passed BOOLEAN;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS comprehension_answers JSONB;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS outcome TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS outcome_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS telemetry JSONB;
+ALTER TABLE trials ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
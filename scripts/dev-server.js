@@ -0,0 +1,66 @@
+/**
+ * Local development server: the experiment, the admin page and every api/
+ * route against a local database, so the whole flow (through /api/export)
+ * runs offline, without Neon or Vercel.
+ *
+ * Usage: node scripts/dev-server.js [options]   (or: npm run dev)
+ *
+ *   --port <n>          Port to listen on (default 3000, or PORT)
+ *   --data-dir <dir>    Keep the database in this directory between runs
+ *                       (default: in memory, empty on every start)
+ *
+ * DATABASE_DRIVER defaults to local here; set it to postgres (with
+ * POSTGRES_URL) to run the same server against Neon. SESSION_TOKEN_SECRET,
+ * EXPORT_API_KEY and ADMIN_API_KEY default to "dev" unless they're set.
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import CONFIG from '../config.js';
+import { createDevServer } from '../lib/dev-server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT || '3000' },
+    'data-dir': { type: 'string' }
+  }
+});
+
+const port = Number(options.port);
+if (!Number.isInteger(port) || port < 0) {
+  console.error('--port must be a port number');
+  process.exit(1);
+}
+
+// The routes read these when they're first called
+const DEV_ENV = {
+  DATABASE_DRIVER: 'local',
+  SESSION_TOKEN_SECRET: 'dev',
+  EXPORT_API_KEY: 'dev',
+  ADMIN_API_KEY: 'dev'
+};
+Object.entries(DEV_ENV).forEach(([name, value]) => {
+  process.env[name] = process.env[name] || value;
+});
+if (options['data-dir']) {
+  process.env.LOCAL_DATABASE_DIR = path.resolve(options['data-dir']);
+}
+
+const server = createDevServer({ root: PROJECT_ROOT });
+server.listen(port, () => {
+  const base = `http://localhost:${server.address().port}`;
+  const storage = process.env.DATABASE_DRIVER === 'local'
+    ? `local database ${process.env.LOCAL_DATABASE_DIR || 'in memory'}`
+    : `${process.env.DATABASE_DRIVER} database`;
+  console.log(`Serving ${PROJECT_ROOT} at ${base} (${storage})`);
+  console.log(`  Experiment: ${base}/?PROLIFIC_PID=dev-participant`);
+  console.log(`  Admin:      ${base}/admin`);
+  // Only echo the key when it's the throwaway default
+  const key = process.env.EXPORT_API_KEY === DEV_ENV.EXPORT_API_KEY ? DEV_ENV.EXPORT_API_KEY : '<EXPORT_API_KEY>';
+  console.log(`  Export:     ${base}/api/export?key=${key}&experiment_name=${CONFIG.EXPERIMENT_NAME}`);
+});
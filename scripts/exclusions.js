@@ -0,0 +1,63 @@
+/**
+ * Apply the participant exclusion rules to a long-format export, e.g. to
+ * regenerate the exclusion counts reported in a paper from an archived file.
+ *
+ * Usage: node scripts/exclusions.js <export.csv> [options]
+ *
+ *   <export.csv>          Long-format /api/export CSV
+ *   --experiment <name>   Experiment whose CONFIG.EXCLUSION_RULES to apply
+ *                         (default: the export's only experiment_name)
+ *   --out <file>          Also write one row per exclusion (session_id, reason, value, threshold) as CSV
+ *
+ * Uses the same rules and code as POST /api/exclusions.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import CONFIG from '../config.js';
+import { parseCsv, toCsv } from '../lib/csv.js';
+import { EXCLUSION_REASONS, countExclusions, evaluateExclusions, exclusionRules, sessionsFromRows } from '../lib/exclusions.js';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    experiment: { type: 'string' },
+    out: { type: 'string' }
+  }
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: node scripts/exclusions.js <export.csv> [--experiment name] [--out exclusions.csv]');
+  process.exit(1);
+}
+
+function main() {
+  const rows = parseCsv(fs.readFileSync(positionals[0], 'utf8'));
+  const experimentNames = [...new Set(rows.map(row => row.experiment_name))];
+  const experimentName = options.experiment || experimentNames[0];
+  if (!options.experiment && experimentNames.length > 1) {
+    throw new Error(`The export has several experiments (${experimentNames.join(', ')}); pick one with --experiment`);
+  }
+
+  const rules = exclusionRules(experimentName, CONFIG);
+  const sessions = sessionsFromRows(rows.filter(row => row.experiment_name === experimentName));
+  const exclusions = evaluateExclusions(sessions, rules);
+  const counts = countExclusions(exclusions, sessions.length);
+
+  console.log(`${experimentName}: ${counts.n_excluded} of ${counts.n_sessions} sessions excluded`);
+  console.log(`Rules: ${JSON.stringify(rules)}`);
+  EXCLUSION_REASONS.forEach(reason => {
+    console.log(`  ${reason}: ${counts.by_reason[reason]}`);
+  });
+
+  if (options.out) {
+    fs.writeFileSync(options.out, toCsv(['session_id', 'reason', 'value', 'threshold'], exclusions) + '\n');
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Exclusions failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,165 @@
+/**
+ * Classical MDS of the collected similarities.
+ *
+ * Usage: node scripts/mds.js <input> [options]
+ *
+ *   <input>               /api/matrix JSON, or a long-format /api/export CSV
+ *   --experiment <name>   Stimulus set the product IDs come from (default: the
+ *                         matrix's or export's experiment_name)
+ *   --dims <n>            Number of dimensions (default 2)
+ *   --out <file>          Write coordinates to a .json or .csv file (default: JSON to stdout)
+ *   --svg <file>          Also draw the first two dimensions with the product images
+ *
+ * Similarities (0-100) are turned into distances as 100 - similarity; pairs
+ * nobody rated are filled with the mean distance. Stress is Kruskal's stress-1.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { parseCsv, toCsv } from '../lib/csv.js';
+import { ratingsFromExport, similarityMatrix } from '../lib/matrix.js';
+import { classicalMDS, kruskalStress, similarityToDistance } from '../lib/mds.js';
+import { splitPairId } from '../lib/pairs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const STIMULI_DIR = path.join(__dirname, '..', 'stimuli');
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    experiment: { type: 'string' },
+    dims: { type: 'string', default: '2' },
+    out: { type: 'string' },
+    svg: { type: 'string' }
+  }
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: node scripts/mds.js <matrix.json | export.csv> [--experiment name] [--dims 2] [--out coords.json|csv] [--svg plot.svg]');
+  process.exit(1);
+}
+
+const dims = Number(options.dims);
+if (!Number.isInteger(dims) || dims < 1) {
+  console.error('--dims must be a positive integer');
+  process.exit(1);
+}
+
+// Products from the stimulus file, or null if there isn't one
+function loadProducts(experimentName) {
+  const file = path.join(STIMULI_DIR, `${experimentName}.json`);
+  if (!experimentName || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8')).products || [];
+}
+
+// { experimentName, products, cells } from either input format
+function readInput(file) {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (file.endsWith('.json')) {
+    const matrix = JSON.parse(text);
+    const experimentName = options.experiment || matrix.experiment_name;
+    const products = loadProducts(experimentName) || matrix.products.map(id => ({ id }));
+    return { experimentName, products: products.filter(p => matrix.cells[p.id]), cells: matrix.cells };
+  }
+
+  const rows = parseCsv(text);
+  const experimentNames = [...new Set(rows.map(row => row.experiment_name))];
+  const experimentName = options.experiment || experimentNames[0];
+  if (!options.experiment && experimentNames.length > 1) {
+    throw new Error(`The export has several experiments (${experimentNames.join(', ')}); pick one with --experiment`);
+  }
+
+  const ratings = ratingsFromExport(rows, experimentName);
+  const products = loadProducts(experimentName)
+    || [...new Set(ratings.flatMap(r => splitPairId(r.pair_id)))].sort().map(id => ({ id }));
+  const productIds = products.map(p => p.id);
+  return { experimentName, products, cells: similarityMatrix(productIds, ratings) };
+}
+
+// Scatter of the first two dimensions with each product's image, linked
+// relative to the SVG so it opens straight from the output folder
+function renderSvg(products, coordinates, svgFile) {
+  const size = 1000;
+  const margin = 80;
+  const imageSize = 60;
+  const xs = coordinates.map(c => c[0]);
+  const ys = coordinates.map(c => c[1] ?? 0);
+  const scale = (values, v) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return max === min ? size / 2 : margin + (v - min) / (max - min) * (size - 2 * margin);
+  };
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+  const items = products.map((product, i) => {
+    const x = scale(xs, xs[i]);
+    // SVG y grows downwards; flip so dimension 2 reads upwards like a plot
+    const y = size - scale(ys, ys[i]);
+    const label = `<title>${escape(product.name || product.id)}</title>`;
+    if (!product.image) {
+      return `  <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="6">${label}</circle>`;
+    }
+    const href = path.relative(path.dirname(path.resolve(svgFile)), path.join(STIMULI_DIR, product.image)).split(path.sep).join('/');
+    return `  <image href="${escape(href)}" x="${(x - imageSize / 2).toFixed(1)}" y="${(y - imageSize / 2).toFixed(1)}" width="${imageSize}" height="${imageSize}">${label}</image>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">`,
+    `  <rect width="${size}" height="${size}" fill="white"/>`,
+    ...items,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+function main() {
+  const { experimentName, products, cells } = readInput(positionals[0]);
+  if (products.length < 2) {
+    throw new Error('Need at least two products to scale');
+  }
+
+  const productIds = products.map(p => p.id);
+  const distances = similarityToDistance(productIds, cells);
+  const { coordinates, eigenvalues } = classicalMDS(distances, dims);
+  const stress = kruskalStress(distances, coordinates);
+
+  const result = {
+    experiment_name: experimentName,
+    dims,
+    stress,
+    eigenvalues,
+    coordinates: Object.fromEntries(productIds.map((id, i) => [id, coordinates[i]]))
+  };
+
+  if (!options.out) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (options.out.endsWith('.csv')) {
+    const dimHeaders = Array.from({ length: dims }, (_, k) => `dim_${k + 1}`);
+    const rows = products.map((p, i) => ({
+      id: p.id,
+      name: p.name,
+      ...Object.fromEntries(dimHeaders.map((header, k) => [header, coordinates[i][k]]))
+    }));
+    fs.writeFileSync(options.out, toCsv(['id', 'name', ...dimHeaders], rows) + '\n');
+  } else {
+    fs.writeFileSync(options.out, JSON.stringify(result, null, 2) + '\n');
+  }
+
+  if (options.svg) {
+    fs.writeFileSync(options.svg, renderSvg(products, coordinates, options.svg));
+  }
+
+  // Keep stdout clean for the JSON when no --out is given
+  console.error(`${experimentName}: ${productIds.length} products, ${dims} dimensions, stress-1 = ${stress === null ? 'n/a' : stress.toFixed(4)}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('MDS failed:', error.message);
+  process.exit(1);
+}
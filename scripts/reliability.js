@@ -0,0 +1,88 @@
+/**
+ * Reliability report: have we collected enough participants?
+ *
+ * Usage: node scripts/reliability.js <export.csv> [options]
+ *
+ *   <export.csv>          Long-format /api/export CSV
+ *   --experiment <name>   Experiment to report on (default: the export's only experiment_name)
+ *   --splits <n>          Random split-halves to average over (default 1000)
+ *   --seed <n>            Seed for the splits, so reports are reproducible (default 1)
+ *   --min-r <r>           Flag participants whose leave-one-out r is below this (default 0.2)
+ *   --json <file>         Write the report as JSON
+ *   --md <file>           Write the report as Markdown (default: Markdown to stdout)
+ *
+ * Uses the same ratings as the similarity matrix: catch trials, repeated pairs
+ * and sessions that failed attention are left out, as are the identical pairs.
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { parseCsv } from '../lib/csv.js';
+import { ratingsFromExport } from '../lib/matrix.js';
+import { splitPairId } from '../lib/pairs.js';
+import { DEFAULT_MIN_CORRELATION, reliabilityMarkdown, reliabilityReport } from '../lib/reliability.js';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    experiment: { type: 'string' },
+    splits: { type: 'string', default: '1000' },
+    seed: { type: 'string', default: '1' },
+    'min-r': { type: 'string', default: String(DEFAULT_MIN_CORRELATION) },
+    json: { type: 'string' },
+    md: { type: 'string' }
+  }
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: node scripts/reliability.js <export.csv> [--experiment name] [--splits 1000] [--seed 1] [--min-r 0.2] [--json report.json] [--md report.md]');
+  process.exit(1);
+}
+
+const splits = Number(options.splits);
+const seed = Number(options.seed);
+const minCorrelation = Number(options['min-r']);
+if (!Number.isInteger(splits) || splits < 1 || !Number.isInteger(seed) || Number.isNaN(minCorrelation)) {
+  console.error('--splits and --seed must be integers and --min-r a number');
+  process.exit(1);
+}
+
+function main() {
+  const rows = parseCsv(fs.readFileSync(positionals[0], 'utf8'));
+  const experimentNames = [...new Set(rows.map(row => row.experiment_name))];
+  const experimentName = options.experiment || experimentNames[0];
+  if (!options.experiment && experimentNames.length > 1) {
+    throw new Error(`The export has several experiments (${experimentNames.join(', ')}); pick one with --experiment`);
+  }
+
+  const ratings = ratingsFromExport(rows, experimentName).filter(r => {
+    const [a, b] = splitPairId(r.pair_id);
+    return a !== b;
+  });
+
+  const report = {
+    experiment_name: experimentName,
+    ...reliabilityReport(ratings, { splits, seed, minCorrelation })
+  };
+  const markdown = reliabilityMarkdown(report, `Reliability report: ${experimentName}`);
+
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify(report, null, 2) + '\n');
+  }
+  if (options.md) {
+    fs.writeFileSync(options.md, markdown);
+  }
+  if (!options.json && !options.md) {
+    console.log(markdown);
+  }
+
+  const { split_half: split } = report;
+  console.error(`${experimentName}: ${split.n_participants} participants, split-half reliability = ${split.reliability === null ? 'n/a' : split.reliability.toFixed(3)}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Reliability report failed:', error.message);
+  process.exit(1);
+}
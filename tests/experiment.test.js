@@ -1,8 +1,7 @@
 import puppeteer from 'puppeteer';
-import http from 'http';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createDevServer } from '../lib/dev-server.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = path.resolve(__dirname, '..');
@@ -39,38 +38,11 @@ function describe(name) {
   console.log(`\n${name}`);
 }
 
-// Simple static file server
+// The dev server (api/ routes on a local in-memory database), so the
+// experiment can create its session and store responses
 function createServer() {
-  return http.createServer((req, res) => {
-    let filePath = path.join(PROJECT_ROOT, req.url === '/' ? 'index.html' : req.url);
-
-    const extname = path.extname(filePath);
-    const contentTypes = {
-      '.html': 'text/html',
-      '.js': 'application/javascript',
-      '.css': 'text/css',
-      '.json': 'application/json',
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg',
-    };
-
-    const contentType = contentTypes[extname] || 'text/plain';
-
-    fs.readFile(filePath, (error, content) => {
-      if (error) {
-        if (error.code === 'ENOENT') {
-          res.writeHead(404);
-          res.end('Not Found');
-        } else {
-          res.writeHead(500);
-          res.end('Server Error');
-        }
-      } else {
-        res.writeHead(200, { 'Content-Type': contentType });
-        res.end(content);
-      }
-    });
-  });
+  Object.assign(process.env, { DATABASE_DRIVER: 'local', SESSION_TOKEN_SECRET: 'test' });
+  return createDevServer({ root: PROJECT_ROOT });
 }
 
 // Helper to wait
@@ -95,6 +67,32 @@ async function completeTrial(page, rating = 75) {
   await delay(100);
 }
 
+// Helper to answer the screening questions (eligible answers by default) and continue
+async function answerScreening(page, answers = { shopping: 'weekly', coffee: 'yes', reviews: 'never' }) {
+  for (const [id, value] of Object.entries(answers)) {
+    await page.click(`#screening-questions input[name="screening-${id}"][value="${value}"]`);
+  }
+  await page.click('#screening-continue-btn');
+  await delay(200);
+}
+
+// Helper to answer the comprehension check correctly and start
+async function passInstructions(page) {
+  await page.$$eval('.question-group', groups => groups.forEach(group => {
+    group.querySelector(`input[value="${group.dataset.correct}"]`).click();
+  }));
+  await page.click('#start-btn');
+  await delay(200);
+}
+
+// Helper to go from the consent page through screening and instructions to the first trial
+async function startTrials(page) {
+  await page.click('#consent-btn');
+  await delay(200);
+  await answerScreening(page);
+  await passInstructions(page);
+}
+
 // Helper to create a fresh page with cleared localStorage
 async function createFreshPage(browser) {
   const page = await browser.newPage();
@@ -105,6 +103,20 @@ async function createFreshPage(browser) {
   return page;
 }
 
+// Helper to render a response widget on its own page. The widget is
+// window.widget and every value passed to onChange is kept in window.changes.
+async function renderWidget(browser, config) {
+  const page = await browser.newPage();
+  await page.goto(`${BASE_URL}/widgets/index.js`);
+  await page.evaluate(async (widgetConfig) => {
+    const { createResponseWidget } = await import('/widgets/index.js');
+    document.body.innerHTML = '<div id="widget"></div>';
+    window.changes = [];
+    window.widget = createResponseWidget(widgetConfig, document.getElementById('widget'), value => window.changes.push(value));
+  }, config);
+  return page;
+}
+
 // Main test runner
 async function runTests() {
   console.log('Starting Similarity Experiment Test Suite\n');
@@ -138,30 +150,70 @@ async function runTests() {
       await page.close();
     });
 
-    await test('navigates from consent to instructions', async () => {
+    await test('navigates from consent to screening, then instructions', async () => {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
       await page.click('#consent-btn');
-      await delay(100);
+      await delay(200);
 
-      const instructionsVisible = await page.$eval('#instructions-page', el => !el.classList.contains('hidden'));
-      assert(instructionsVisible, 'Instructions page should be visible');
+      const screeningVisible = await page.$eval('#screening-page', el => !el.classList.contains('hidden'));
+      assert(screeningVisible, 'Screening page should be visible');
 
       const consentHidden = await page.$eval('#consent-page', el => el.classList.contains('hidden'));
       assert(consentHidden, 'Consent page should be hidden');
 
+      const questionCount = await page.$$eval('#screening-questions .screening-question', els => els.length);
+      assert(questionCount === 3, `The screening questions should be rendered, got ${questionCount}`);
+
+      const continueDisabled = await page.$eval('#screening-continue-btn', el => el.disabled);
+      assert(continueDisabled, 'Continue should be disabled until every question is answered');
+
+      await answerScreening(page);
+      const instructionsVisible = await page.$eval('#instructions-page', el => !el.classList.contains('hidden'));
+      assert(instructionsVisible, 'Instructions page should be visible after eligible answers');
+
       await page.close();
     });
 
-    await test('navigates from instructions to first trial', async () => {
+    await test('ineligible screening answers show the screening-failed page', async () => {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
       await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await delay(200);
+      await answerScreening(page, { shopping: 'weekly', coffee: 'no', reviews: 'never' });
+
+      const failedVisible = await page.$eval('#screening-failed-page', el => !el.classList.contains('hidden'));
+      assert(failedVisible, 'Screening-failed page should be visible');
+
+      await page.close();
+    });
+
+    await test('withdrawing during the trials shows the withdrawn page', async () => {
+      const page = await createFreshPage(browser);
+      await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
+      await startTrials(page);
+
+      // Withdrawing asks for confirmation first
+      page.once('dialog', dialog => dialog.accept());
+      await page.click('#trial-page .withdraw-btn');
+      await delay(300);
+
+      const withdrawnVisible = await page.$eval('#withdrawn-page', el => !el.classList.contains('hidden'));
+      assert(withdrawnVisible, 'Withdrawn page should be visible');
+
+      const trialHidden = await page.$eval('#trial-page', el => el.classList.contains('hidden'));
+      assert(trialHidden, 'Trial page should be hidden');
+
+      await page.close();
+    });
+
+    await test('navigates from instructions to first trial', async () => {
+      const page = await createFreshPage(browser);
+      await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
+
+      await startTrials(page);
 
       const trialVisible = await page.$eval('#trial-page', el => !el.classList.contains('hidden'));
       assert(trialVisible, 'Trial page should be visible');
@@ -177,10 +229,7 @@ async function runTests() {
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
       // Navigate to trials
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Complete all trials
       for (let i = 0; i < N_PAIRS; i++) {
@@ -204,10 +253,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       for (let i = 0; i < N_PAIRS; i++) {
         const leftName = await page.$eval('#product-left-name', el => el.textContent);
@@ -230,10 +276,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Complete all trials
       for (let i = 0; i < N_PAIRS; i++) {
@@ -269,10 +312,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       for (let i = 0; i < N_PAIRS; i++) {
         await completeTrial(page);
@@ -300,10 +340,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       for (let i = 0; i < N_PAIRS; i++) {
         await completeTrial(page);
@@ -335,10 +372,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Use specific ratings
       const expectedRatings = [10, 25, 40, 55, 70, 85, 90, 15, 50, 75];
@@ -370,10 +404,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       for (let i = 0; i < N_PAIRS; i++) {
         await completeTrial(page);
@@ -404,10 +435,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(200);
+      await startTrials(page);
 
       // Check first trial images loaded
       const leftImgSrc = await page.$eval('#product-left-img', el => el.src);
@@ -423,10 +451,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Initial value should be 50
       let displayedValue = await page.$eval('#slider-value', el => el.textContent);
@@ -447,10 +472,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       for (let i = 1; i <= 5; i++) {
         const progressText = await page.$eval('#progress-text', el => el.textContent);
@@ -465,10 +487,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       const leftName = await page.$eval('#product-left-name', el => el.textContent);
       const rightName = await page.$eval('#product-right-name', el => el.textContent);
@@ -492,10 +511,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Check button is initially disabled
       const isDisabled = await page.$eval('#next-btn', el => el.disabled);
@@ -516,10 +532,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Complete first trial
       await completeTrial(page);
@@ -535,10 +548,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Try to click disabled button (using evaluate to force click even if disabled)
       await page.evaluate(() => {
@@ -557,10 +567,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Complete first trial
       await completeTrial(page);
@@ -587,10 +594,7 @@ async function runTests() {
       const page = await createFreshPage(browser);
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Move to 0
       await moveSlider(page, 0);
@@ -631,10 +635,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       for (let i = 0; i < N_PAIRS; i++) {
         await completeTrial(page, 30 + i * 7);
@@ -710,10 +711,7 @@ async function runTests() {
 
       await page.goto(BASE_URL, { waitUntil: 'networkidle0' });
 
-      await page.click('#consent-btn');
-      await delay(100);
-      await page.click('#start-btn');
-      await delay(100);
+      await startTrials(page);
 
       // Complete all trials
       for (let i = 0; i < N_PAIRS; i++) {
@@ -732,6 +730,85 @@ async function runTests() {
       await page.close();
     });
 
+    // =========================================
+    // RESPONSE WIDGET TESTS
+    // =========================================
+    describe('Response Widgets');
+
+    await test('slider only counts as answered once moved and resets to its start', async () => {
+      const page = await renderWidget(browser, { type: 'slider' });
+
+      assert(await page.evaluate(() => window.widget.getValue()) === null, 'An untouched slider should have no value');
+      await moveSlider(page, 80);
+      assert(await page.evaluate(() => window.widget.getValue()) === 80, 'The moved slider should report its value');
+
+      const reset = await page.evaluate(() => {
+        window.widget.reset();
+        return { value: window.widget.getValue(), position: document.getElementById('similarity-slider').value };
+      });
+      assert(reset.value === null && reset.position === '50', 'Reset should clear the value and return to the start');
+
+      await page.close();
+    });
+
+    await test('likert offers 1..N and reports the chosen point', async () => {
+      const page = await renderWidget(browser, { type: 'likert', points: 5 });
+
+      const values = await page.$$eval('input[name="likert-response"]', inputs => inputs.map(input => input.value));
+      assert(values.join() === '1,2,3,4,5', `Likert should offer 1..5, got ${values.join()}`);
+      assert(await page.evaluate(() => window.widget.getValue()) === null, 'Nothing should be chosen at first');
+
+      await page.click('input[name="likert-response"][value="3"]');
+      const chosen = await page.evaluate(() => ({ value: window.widget.getValue(), changes: window.changes }));
+      assert(chosen.value === 3 && chosen.changes.join() === '3', 'The chosen point should be reported');
+
+      assert(await page.evaluate(() => { window.widget.reset(); return window.widget.getValue(); }) === null, 'Reset should clear the choice');
+
+      await page.close();
+    });
+
+    await test('VAS has no default position until clicked', async () => {
+      const page = await renderWidget(browser, { type: 'vas' });
+
+      const before = await page.evaluate(() => {
+        const track = document.querySelector('.vas-track');
+        track.style.height = '20px';
+        return {
+          value: window.widget.getValue(),
+          markerHidden: document.querySelector('.vas-marker').classList.contains('hidden'),
+          hasValueNow: track.hasAttribute('aria-valuenow')
+        };
+      });
+      assert(before.value === null && before.markerHidden && !before.hasValueNow, 'The VAS should start with no marker and no value');
+
+      const box = await (await page.$('.vas-track')).boundingBox();
+      await page.mouse.click(box.x + box.width / 4, box.y + box.height / 2);
+      const value = await page.evaluate(() => window.widget.getValue());
+      assert(value >= 23 && value <= 27, `Clicking a quarter along should give about 25, got ${value}`);
+
+      const reset = await page.evaluate(() => {
+        window.widget.reset();
+        return { value: window.widget.getValue(), markerHidden: document.querySelector('.vas-marker').classList.contains('hidden') };
+      });
+      assert(reset.value === null && reset.markerHidden, 'Reset should remove the marker again');
+
+      await page.close();
+    });
+
+    await test('binary reports 0 or 1 for the chosen button', async () => {
+      const page = await renderWidget(browser, { type: 'binary' });
+
+      assert(await page.evaluate(() => window.widget.getValue()) === null, 'Nothing should be chosen at first');
+      await page.click('.binary-choice[data-value="1"]');
+      assert(await page.evaluate(() => window.widget.getValue()) === 1, '"Same kind" should be 1');
+      await page.click('.binary-choice[data-value="0"]');
+      assert(await page.evaluate(() => window.widget.getValue()) === 0, '"Different kind" should be 0');
+
+      assert(await page.evaluate(() => { window.widget.reset(); return window.widget.getValue(); }) === null, 'Reset should clear the choice');
+
+      await page.close();
+    });
+
   } catch (error) {
     console.error('\nTest suite error:', error.message);
     console.error(error.stack);
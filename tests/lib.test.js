@@ -0,0 +1,1260 @@
+import fs from 'fs';
+import os from 'os';
+import { makePairId, allPairIds, selectLeastCovered } from '../lib/pairs.js';
+import { buildTrialPlan, buildTriadPlan, buildArrangementPlan, validateTrialPlan, checkTrialAgainstPlan } from '../lib/trial-plan.js';
+import { passesCatchTrial, scoreAttention, collectCatchTrials } from '../lib/attention.js';
+import { retestStats } from '../lib/retest.js';
+import { validateTriad, triadChoice } from '../lib/triads.js';
+import { validateArrangement, arrangementDistances } from '../lib/arrangement.js';
+import { comprehensionScreenedOut, evaluateRule, validateScreeningAnswers } from '../lib/screening.js';
+import { completionUrl, completionOutcome } from '../lib/outcomes.js';
+import { summarizeExperiments, dropOffStep } from '../lib/monitoring.js';
+import { nextStepIndex, resumeStepIndex, stepNeedsSession } from '../lib/flow.js';
+import { EXPORT_FILTERS_SCHEMA, exportFilters, DEFAULT_EXPORT_LIMIT } from '../lib/export-filters.js';
+import { flattenData, parseCsv, toCsv } from '../lib/csv.js';
+import { meanCI } from '../lib/stats.js';
+import { similarityMatrix, matrixRows, matrixRating } from '../lib/matrix.js';
+import { classicalMDS, kruskalStress, similarityToDistance } from '../lib/mds.js';
+import { spearmanBrown, splitHalfReliability, leaveOneOutCorrelations, pairVariance } from '../lib/reliability.js';
+import { evaluateExclusions, countExclusions, sessionsFromRows, exclusionRules } from '../lib/exclusions.js';
+import { validateTrialTelemetry, validateSessionTelemetry, summarizeTrialTelemetry, countReversals, MAX_TRAJECTORY_SAMPLES } from '../lib/telemetry.js';
+import { createOutbox, retryDelay, RETRY_MAX_MS } from '../lib/outbox.js';
+import { validateTrialSubmission, trialRow } from '../lib/trial-submission.js';
+import { validateSchema, problemsBody } from '../lib/schema.js';
+import { SCALE_TYPES, validateScale } from '../lib/scales.js';
+import { WIDGET_TYPES, responseScale } from '../widgets/index.js';
+import { createSessionToken, verifySessionToken, SESSION_TOKEN_TTL_MS } from '../lib/session-token.js';
+import { createSql } from '../lib/db.js';
+import { assignPairs, getPairCoverage } from '../lib/assignment.js';
+import { createDevServer } from '../lib/dev-server.js';
+import { loadStimuli } from '../lib/stimuli.js';
+import CONFIG from '../config.js';
+
+// Simple test framework (same as experiment.test.js, no browser needed)
+let testResults = { passed: 0, failed: 0, tests: [] };
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function test(name, fn) {
+  try {
+    await fn();
+    testResults.passed++;
+    testResults.tests.push({ name, passed: true });
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, passed: false, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function describe(name) {
+  console.log(`\n${name}`);
+}
+
+// Run fn({ base, post, get }) against the dev server on the local database.
+// The routes' environment is set for the test and put back afterwards.
+async function withDevServer(fn) {
+  const env = { DATABASE_DRIVER: 'local', SESSION_TOKEN_SECRET: 'test', EXPORT_API_KEY: 'test' };
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+
+  const server = createDevServer({ root: new URL('..', import.meta.url).pathname });
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+  const post = (route, body) => fetch(`${base}/api/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const get = (route, query = {}) => fetch(`${base}/api/${route}?${new URLSearchParams(query)}`);
+
+  try {
+    await fn({ base, post, get });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+async function runTests() {
+  console.log('Starting Library Test Suite\n');
+  console.log('='.repeat(50));
+
+  // =========================================
+  // PAIR ASSIGNMENT TESTS
+  // =========================================
+  describe('Pair Assignment');
+
+  await test('pair IDs are alphabetically sorted', async () => {
+    assert(makePairId('B2', 'A1') === 'A1_B2', 'Pair ID should sort product IDs');
+    assert(makePairId('A1', 'B2') === 'A1_B2', 'Pair ID should not depend on argument order');
+  });
+
+  await test('all pairs are generated without self-comparisons', async () => {
+    const pairIds = allPairIds(['A', 'B', 'C', 'D']);
+    assert(pairIds.length === 6, `Expected 6 pairs, got ${pairIds.length}`);
+    assert(new Set(pairIds).size === 6, 'Pairs should be unique');
+    assert(pairIds.every(id => id.split('_')[0] !== id.split('_')[1]), 'No self-comparisons');
+  });
+
+  await test('least-covered pairs are selected first', async () => {
+    const pairIds = allPairIds(['A', 'B', 'C', 'D']);
+    const counts = { A_B: 3, A_C: 2, A_D: 2, B_C: 0, B_D: 1 };
+    const selected = selectLeastCovered(pairIds, counts, 3);
+    assert(selected.includes('C_D'), 'Unrated pair C_D should be selected');
+    assert(selected.includes('B_C'), 'Pair with zero ratings should be selected');
+    assert(selected.includes('B_D'), 'Pair with one rating should be selected');
+  });
+
+  await test('repeated assignments balance coverage', async () => {
+    const pairIds = allPairIds(['A', 'B', 'C', 'D', 'E']);
+    const counts = {};
+    for (let session = 0; session < 10; session++) {
+      selectLeastCovered(pairIds, counts, 3).forEach(id => {
+        counts[id] = (counts[id] || 0) + 1;
+      });
+    }
+    const values = pairIds.map(id => counts[id] || 0);
+    assert(Math.max(...values) - Math.min(...values) <= 1, `Coverage should differ by at most 1: ${values}`);
+  });
+
+  // =========================================
+  // TRIAL PLAN TESTS
+  // =========================================
+  describe('Trial Plan');
+
+  const productIds = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+  await test('same seed produces the same plan', async () => {
+    const planA = buildTrialPlan({ productIds, nPairs: 5, seed: 42 });
+    const planB = buildTrialPlan({ productIds, nPairs: 5, seed: 42 });
+    assert(JSON.stringify(planA) === JSON.stringify(planB), 'Plans with the same seed should be identical');
+  });
+
+  await test('plan has N pairs plus one catch trial', async () => {
+    const plan = buildTrialPlan({ productIds, nPairs: 5, seed: 7 });
+    assert(plan.trials.length === 6, `Expected 6 trials, got ${plan.trials.length}`);
+    assert(plan.trials.filter(t => t.is_catch_trial).length === 1, 'Expected exactly one catch trial');
+    assert(validateTrialPlan(plan, productIds) === null, 'Generated plan should be valid');
+  });
+
+  await test('plan uses the assigned pairs', async () => {
+    const pairIds = ['A_B', 'C_D', 'E_F'];
+    const plan = buildTrialPlan({ productIds, pairIds, nPairs: 3, seed: 1 });
+    const planned = plan.trials.filter(t => !t.is_catch_trial).map(t => t.pair_id).sort();
+    assert(JSON.stringify(planned) === JSON.stringify(pairIds), `Unexpected pairs: ${planned}`);
+  });
+
+  await test('submitted trials are checked against the plan', async () => {
+    const plan = buildTrialPlan({ productIds, nPairs: 5, seed: 3 });
+    const trial = plan.trials.find(t => !t.is_catch_trial);
+    assert(checkTrialAgainstPlan(plan, { ...trial }) === null, 'Matching trial should pass');
+
+    const swapped = { ...trial, position: trial.position === 'AB' ? 'BA' : 'AB' };
+    assert(checkTrialAgainstPlan(plan, swapped) !== null, 'Tampered position should be rejected');
+    assert(checkTrialAgainstPlan(plan, { ...trial, trial_number: 99 }) !== null, 'Unknown trial number should be rejected');
+  });
+
+  // =========================================
+  // ATTENTION SCORING TESTS
+  // =========================================
+  describe('Attention Scoring');
+
+  const catchConfig = {
+    identical: { count: 1, minRating: 80 },
+    instructed: { count: 1, target: 12, tolerance: 2 },
+    dissimilar: { count: 1, maxRating: 30, pairs: [['A', 'F']] }
+  };
+
+  await test('plan includes each configured catch type', async () => {
+    const plan = buildTrialPlan({ productIds, nPairs: 5, seed: 11, catchTrials: catchConfig });
+    const types = plan.trials.filter(t => t.is_catch_trial).map(t => t.catch_type).sort();
+    assert(JSON.stringify(types) === JSON.stringify(['dissimilar', 'identical', 'instructed']), `Unexpected catch types: ${types}`);
+    assert(plan.trials.find(t => t.catch_type === 'instructed').target === 12, 'Instructed trial should carry its target');
+    assert(validateTrialPlan(plan, productIds) === null, 'Plan with catch types should be valid');
+  });
+
+  await test('each catch type uses its own pass criterion', async () => {
+    assert(passesCatchTrial({ catch_type: 'identical', rating: 85 }, catchConfig), 'Identical rated 85 should pass');
+    assert(!passesCatchTrial({ catch_type: 'identical', rating: 50 }, catchConfig), 'Identical rated 50 should fail');
+    assert(passesCatchTrial({ catch_type: 'instructed', rating: 13, target: 12 }, catchConfig), 'Within tolerance should pass');
+    assert(!passesCatchTrial({ catch_type: 'instructed', rating: 20, target: 12 }, catchConfig), 'Outside tolerance should fail');
+    assert(passesCatchTrial({ catch_type: 'dissimilar', rating: 10 }, catchConfig), 'Dissimilar rated 10 should pass');
+    assert(!passesCatchTrial({ catch_type: 'dissimilar', rating: 60 }, catchConfig), 'Dissimilar rated 60 should fail');
+  });
+
+  await test('missing catch responses count as failed', async () => {
+    const plan = buildTrialPlan({ productIds, nPairs: 5, seed: 11, catchTrials: catchConfig });
+    const identical = plan.trials.find(t => t.catch_type === 'identical');
+    const recorded = [{ trial_number: identical.trial_number, rating: 95, is_catch_trial: true }];
+    const attention = scoreAttention(collectCatchTrials(recorded, plan), catchConfig, 1);
+    assert(attention.nCatch === 3 && attention.nPassed === 1, `Expected 1 of 3 passed, got ${attention.nPassed} of ${attention.nCatch}`);
+    assert(attention.passed === false, 'Session should fail attention');
+  });
+
+  // =========================================
+  // TEST-RETEST TESTS
+  // =========================================
+  describe('Test-Retest');
+
+  await test('repeats swap sides and point at an earlier trial', async () => {
+    const plan = buildTrialPlan({ productIds, nPairs: 8, seed: 21, repeats: { count: 3, minGap: 2 } });
+    const repeats = plan.trials.filter(t => t.repeat_of);
+    assert(repeats.length === 3, `Expected 3 repeats, got ${repeats.length}`);
+    repeats.forEach(repeat => {
+      const original = plan.trials[repeat.repeat_of - 1];
+      assert(original.pair_id === repeat.pair_id, 'Repeat should show the same pair');
+      assert(original.left_product_id === repeat.right_product_id, 'Repeat should swap left and right');
+      assert(original.position !== repeat.position, 'Repeat should have the opposite position');
+    });
+    assert(validateTrialPlan(plan, productIds) === null, 'Plan with repeats should be valid');
+  });
+
+  await test('retest stats report correlation, MAD and position bias', async () => {
+    const stats = retestStats([
+      { trial_number: 1, position: 'AB', rating: 10 },
+      { trial_number: 2, position: 'BA', rating: 50 },
+      { trial_number: 3, position: 'AB', rating: 90 },
+      { trial_number: 4, position: 'BA', rating: 14, repeat_of: 1 },
+      { trial_number: 5, position: 'AB', rating: 54, repeat_of: 2 },
+      { trial_number: 6, position: 'BA', rating: 94, repeat_of: 3 }
+    ]);
+    assert(stats.n === 3, `Expected 3 repeat pairs, got ${stats.n}`);
+    assert(Math.abs(stats.correlation - 1) < 1e-9, `Expected r = 1, got ${stats.correlation}`);
+    assert(stats.meanAbsDiff === 4, `Expected MAD 4, got ${stats.meanAbsDiff}`);
+    // AB minus BA: (10 - 14) + (54 - 50) + (90 - 94) over 3
+    assert(Math.abs(stats.positionBias - (-4 / 3)) < 1e-9, `Unexpected position bias ${stats.positionBias}`);
+  });
+
+  // =========================================
+  // TRIAD TESTS
+  // =========================================
+  describe('Triads');
+
+  await test('triad plan has distinct triplets of distinct products', async () => {
+    const plan = buildTriadPlan({ productIds, nTriads: 10, seed: 5 });
+    assert(plan.trials.length === 10, `Expected 10 triads, got ${plan.trials.length}`);
+    const keys = plan.trials.map(t => [...t.items].sort().join('_'));
+    assert(new Set(keys).size === 10, 'Triplets should be unique');
+    assert(plan.trials.every(t => new Set(t.items).size === 3), 'Each triad should show three different products');
+    assert(validateTrialPlan(plan, productIds) === null, 'Triad plan should be valid');
+  });
+
+  await test('triad responses are validated and checked against the plan', async () => {
+    const plan = buildTriadPlan({ productIds, nTriads: 3, seed: 5 });
+    const { items } = plan.trials[0];
+    assert(validateTriad({ items, odd_one_out: items[1] }) === null, 'Valid triad should pass');
+    assert(validateTriad({ items, odd_one_out: 'Z' }) !== null, 'Odd one out must be one of the items');
+    assert(validateTriad({ items: ['A', 'A', 'B'], odd_one_out: 'B' }) !== null, 'Items must be distinct');
+    assert(checkTrialAgainstPlan(plan, { trial_number: 1, trial_type: 'triad', items }) === null, 'Matching triad should pass');
+    assert(checkTrialAgainstPlan(plan, { trial_number: 1, trial_type: 'triad', items: [...items].reverse() }) !== null, 'Reordered items should be rejected');
+  });
+
+  await test('triad choice gives the implied similar pair', async () => {
+    const { similar } = triadChoice(['C', 'A', 'B'], 'A');
+    assert(JSON.stringify(similar) === JSON.stringify(['B', 'C']), `Unexpected similar pair: ${similar}`);
+  });
+
+  // =========================================
+  // SPATIAL ARRANGEMENT TESTS
+  // =========================================
+  describe('Spatial Arrangement');
+
+  await test('arrangement plan places every product once', async () => {
+    const plan = buildArrangementPlan({ productIds, seed: 9 });
+    assert(plan.trials.length === 1, 'Expected a single arrangement trial');
+    assert([...plan.trials[0].items].sort().join() === [...productIds].sort().join(), 'Every product should be arranged');
+    assert(validateTrialPlan(plan, productIds) === null, 'Arrangement plan should be valid');
+  });
+
+  await test('arrangements are validated and checked against the plan', async () => {
+    const plan = buildArrangementPlan({ productIds, seed: 9 });
+    const positions = productIds.map((id, i) => ({ id, x: i / 10, y: 0.5 }));
+    assert(validateArrangement(positions) === null, 'Valid arrangement should pass');
+    assert(validateArrangement([{ id: 'A', x: 0, y: 0 }, { id: 'A', x: 1, y: 0 }]) !== null, 'Duplicate items should be rejected');
+    assert(validateArrangement([{ id: 'A', x: 0, y: 0 }, { id: 'B', x: 1.5, y: 0 }]) !== null, 'Positions off the canvas should be rejected');
+    const items = positions.map(p => p.id);
+    assert(checkTrialAgainstPlan(plan, { trial_number: 1, trial_type: 'arrangement', items }) === null, 'Planned items in any order should pass');
+    assert(checkTrialAgainstPlan(plan, { trial_number: 1, trial_type: 'arrangement', items: items.slice(1) }) !== null, 'Missing items should be rejected');
+  });
+
+  await test('distances are Euclidean and keyed by pair_id', async () => {
+    const distances = arrangementDistances([{ id: 'B', x: 0, y: 0 }, { id: 'A', x: 0.3, y: 0.4 }, { id: 'C', x: 0, y: 0.4 }]);
+    assert(distances.length === 3, `Expected 3 distances, got ${distances.length}`);
+    const ab = distances.find(d => d.pair_id === makePairId('A', 'B'));
+    assert(ab && Math.abs(ab.distance - 0.5) < 1e-9, `Expected A_B distance 0.5, got ${ab && ab.distance}`);
+  });
+
+  // =========================================
+  // SCREENING TESTS
+  // =========================================
+  describe('Screening');
+
+  await test('default eligibility rule requires coffee drinkers', async () => {
+    const { eligibility } = CONFIG.SCREENING;
+    assert(evaluateRule(eligibility, { shopping: 'weekly', coffee: 'yes', reviews: 'never' }) === true, 'Coffee drinker should be eligible');
+    assert(evaluateRule(eligibility, { shopping: 'weekly', coffee: 'no', reviews: 'never' }) === false, 'Non-coffee drinker should be screened out');
+  });
+
+  await test('rules combine with all, any and not', async () => {
+    const rule = {
+      all: [
+        { question: 'coffee', equals: 'yes' },
+        { any: [{ question: 'shopping', in: ['weekly', 'monthly'] }, { not: { question: 'reviews', equals: 'never' } }] }
+      ]
+    };
+    assert(evaluateRule(rule, { coffee: 'yes', shopping: 'weekly', reviews: 'never' }) === true, 'any: first branch');
+    assert(evaluateRule(rule, { coffee: 'yes', shopping: 'never', reviews: 'always' }) === true, 'any: second branch');
+    assert(evaluateRule(rule, { coffee: 'yes', shopping: 'never', reviews: 'never' }) === false, 'any: neither branch');
+    assert(evaluateRule(null, {}) === true, 'No rule should let everyone in');
+  });
+
+  await test('answers must cover every question with a listed option', async () => {
+    const { questions } = CONFIG.SCREENING;
+    assert(validateScreeningAnswers({ shopping: 'weekly', coffee: 'yes', reviews: 'never' }, questions) === null, 'Complete answers should pass');
+    assert(validateScreeningAnswers({ shopping: 'weekly', coffee: 'yes' }, questions) !== null, 'Missing answer should fail');
+    assert(validateScreeningAnswers({ shopping: 'weekly', coffee: 'maybe', reviews: 'never' }, questions) !== null, 'Unknown option should fail');
+    assert(validateScreeningAnswers({ shopping: 'weekly', coffee: 'yes', reviews: 'never', extra: 'x' }, questions) !== null, 'Unknown question should fail');
+  });
+
+  await test('comprehension screens out only after the allowed attempts fail', async () => {
+    const fail = { passed: false };
+    const pass = { passed: true };
+    assert(comprehensionScreenedOut([fail, fail], 3) === false, 'Attempts left should not screen out');
+    assert(comprehensionScreenedOut([fail, fail, pass], 3) === false, 'Passing on the last allowed attempt should count');
+    assert(comprehensionScreenedOut([fail, fail, fail], 3) === true, 'Failing every allowed attempt should screen out');
+    assert(comprehensionScreenedOut([fail, fail, fail, pass], 3) === true, 'Passing after the limit should not count');
+    assert(comprehensionScreenedOut([fail, pass, fail, fail], 3) === false, 'Failing again after a pass should not screen out');
+    assert(comprehensionScreenedOut(Array(20).fill(fail), null) === false, 'null should allow unlimited attempts');
+  });
+
+  // =========================================
+  // PAGE FLOW TESTS
+  // =========================================
+  describe('Page Flow');
+
+  const flow = [
+    { page: 'consent' },
+    { page: 'screening', when: ({ prolificPid }) => !prolificPid },
+    { page: 'instructions' },
+    { page: 'trials' },
+    { page: 'break' },
+    { page: 'demographics', when: ({ studyId }) => studyId === 'with-demographics' },
+    { page: 'complete' }
+  ];
+
+  await test('steps whose condition fails are skipped', async () => {
+    const pages = params => {
+      const visited = [];
+      for (let index = nextStepIndex(flow, 0, params); index !== -1; index = nextStepIndex(flow, index + 1, params)) {
+        visited.push(flow[index].page);
+      }
+      return visited.join();
+    };
+    assert(pages({}) === 'consent,screening,instructions,trials,break,complete', 'Conditions that fail should skip their steps');
+    assert(pages({ prolificPid: 'P1', studyId: 'with-demographics' }) === 'consent,instructions,trials,break,demographics,complete',
+      'Conditions should get the URL parameters');
+    assert(nextStepIndex(flow, flow.length, {}) === -1, 'There is nothing after the last step');
+  });
+
+  await test('the session is created before the first step after consent, wherever it is', async () => {
+    assert(!stepNeedsSession({ page: 'consent' }), 'Consent comes before the session');
+    ['screening', 'instructions', 'trials', 'break', 'complete'].forEach(page => {
+      assert(stepNeedsSession({ page }), `${page} should need the session`);
+    });
+
+    // Without a consent step, the very first step creates the session
+    const noConsent = flow.slice(1);
+    assert(stepNeedsSession(noConsent[nextStepIndex(noConsent, 0, {})]), 'The first step should create the session');
+  });
+
+  await test('an interrupted session resumes at the right step', async () => {
+    const trialsIndex = flow.findIndex(step => step.page === 'trials');
+    assert(resumeStepIndex(flow, { currentTrial: 10, trialCount: 10, savedPage: 'trials' }) === trialsIndex + 1, 'All trials answered should resume after the trials');
+    assert(resumeStepIndex(flow, { currentTrial: 4, trialCount: 10, savedPage: null }) === trialsIndex, 'Some trials answered should resume at the trials');
+    assert(resumeStepIndex(flow, { currentTrial: 0, trialCount: 10, savedPage: 'instructions' }) === 2, 'No trials answered should resume at the saved step');
+    assert(resumeStepIndex(flow, { currentTrial: 0, trialCount: 10, savedPage: 'questionnaire' }) === 0, 'A saved step the flow no longer has should start over');
+    assert(resumeStepIndex(flow, { currentTrial: 0, trialCount: 10 }) === 0, 'Without a saved step the flow should start over');
+  });
+
+  await test('every page of the default flow is in index.html', async () => {
+    const html = fs.readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+    // trials and complete are shown by experiment.js itself
+    CONFIG.FLOW
+      .filter(step => !['trials', 'complete'].includes(step.page))
+      .forEach(step => {
+        assert(html.includes(`id="${step.page}-page"`), `index.html should have #${step.page}-page`);
+      });
+    assert(html.includes('id="trial-page"') && html.includes('id="complete-page"'), 'The trial and completion pages should exist');
+  });
+
+  // =========================================
+  // OUTCOME TESTS
+  // =========================================
+  describe('Outcomes');
+
+  await test('completion codes map to Prolific URLs per experiment', async () => {
+    const config = {
+      COMPLETION_CODES: { study: { completed: 'ABC123', failed_attention: 'https://example.com/fail' } },
+      PROLIFIC_COMPLETION_URL: 'https://example.com/default',
+      SCREENING_FAIL_URL: 'https://example.com/screened'
+    };
+    assert(completionUrl('completed', 'study', config) === 'https://app.prolific.com/submissions/complete?cc=ABC123', 'Bare code should become a Prolific URL');
+    assert(completionUrl('failed_attention', 'study', config) === 'https://example.com/fail', 'Full URL should be used as is');
+    assert(completionUrl('completed', 'other', config) === 'https://example.com/default', 'Missing code should fall back to PROLIFIC_COMPLETION_URL');
+    assert(completionUrl('completed', 'other', config, { PROLIFIC_COMPLETION_URL: 'https://example.com/env' }) === 'https://example.com/env', 'Environment URL should win over config');
+    assert(completionUrl('screened_out', 'study', config) === 'https://example.com/screened', 'Screened out should fall back to SCREENING_FAIL_URL');
+    assert(completionUrl('returned', 'study', config) === null, 'Unconfigured outcome should have no URL');
+    assert(completionUrl('failed_attention', '25-word', CONFIG, { PROLIFIC_COMPLETION_URL: 'https://example.com/env' }) === 'https://example.com/env',
+      'Failing attention without a code of its own should still redirect to the completion URL');
+  });
+
+  await test('failed attention checks change the completion outcome', async () => {
+    assert(completionOutcome({ passed: true }) === 'completed', 'Passed should complete');
+    assert(completionOutcome({ passed: null }) === 'completed', 'No catch trials should complete');
+    assert(completionOutcome({ passed: false }) === 'failed_attention', 'Failed should be failed_attention');
+  });
+
+  // =========================================
+  // MONITORING TESTS
+  // =========================================
+  describe('Monitoring');
+
+  await test('abandoned sessions are attributed to the page they left on', async () => {
+    const flow = [{ page: 'consent' }, { page: 'screening', when: ({ prolificPid }) => !prolificPid }, { page: 'instructions' }, { page: 'trials' }, { page: 'complete' }];
+    const progress = { screening_done: false, instructions_done: false, trials_done: false, demographics_done: false };
+    assert(dropOffStep(progress, flow) === 'screening', 'Should drop off at screening');
+    assert(dropOffStep({ ...progress, prolific_pid: 'P1' }, flow) === 'instructions', 'Skipped screening should not count');
+    assert(dropOffStep({ ...progress, screening_done: true, instructions_done: true }, flow) === 'trials', 'Partial trials should drop off at trials');
+  });
+
+  await test('summary combines the aggregated rows per experiment', async () => {
+    const summaries = [
+      { experiment_name: 'x', started: 5, completed: 2, abandoned: 3, in_progress: 0, median_duration_ms: 2000, attention_pass_rate: 0.5 },
+      { experiment_name: 'y', started: 1, completed: 0, abandoned: 0, in_progress: 1, median_duration_ms: null, attention_pass_rate: null }
+    ];
+    const outcomes = [{ experiment_name: 'x', outcome: 'screened_out', n: 1 }];
+    const progress = [
+      { experiment_name: 'x', screening_done: true, instructions_done: false, trials_done: false, demographics_done: false, n: 2 },
+      { experiment_name: 'x', screening_done: true, instructions_done: true, trials_done: true, demographics_done: false, n: 1 }
+    ];
+    const [x, y] = summarizeExperiments({ summaries, outcomes, progress }, CONFIG.FLOW);
+    assert(x.started === 5 && x.median_duration_ms === 2000 && x.attention_pass_rate === 0.5, `Unexpected summary: ${JSON.stringify(x)}`);
+    assert(x.outcomes.screened_out === 1 && Object.keys(y.outcomes).length === 0, 'Outcome counts should be per experiment');
+    assert(x.drop_off.find(d => d.page === 'instructions').count === 2, 'Grouped sessions should add their counts');
+    assert(x.drop_off.find(d => d.page === 'demographics').count === 1, 'Finished trials should drop off at demographics');
+    assert(y.drop_off.every(d => d.count === 0), 'Second experiment should be counted separately');
+  });
+
+  // =========================================
+  // EXPORT FILTER TESTS
+  // =========================================
+  describe('Export Filters');
+
+  // Check a query string the way the export route does
+  const parseExportFilters = query => {
+    const { values, problems } = validateSchema(EXPORT_FILTERS_SCHEMA, query, { fromQuery: true });
+    return { filters: exportFilters(values), problems };
+  };
+
+  await test('export filters default to everything, one page', async () => {
+    const { filters, problems } = parseExportFilters({});
+    assert(problems.length === 0, `Unexpected problems: ${JSON.stringify(problems)}`);
+    assert(filters.experimentName === null && !filters.completedOnly && !filters.excludeCatch, 'Defaults should not filter');
+    assert(filters.limit === DEFAULT_EXPORT_LIMIT, 'Default limit should apply');
+  });
+
+  await test('export filters parse flags, dates and the cursor', async () => {
+    const { filters } = parseExportFilters({
+      experiment_name: '25-word',
+      from: '2026-03-01',
+      to: '2026-03-31',
+      completed_only: 'true',
+      exclude_catch: '1',
+      since_session: '123e4567-e89b-12d3-a456-426614174000',
+      limit: '50'
+    });
+    assert(filters.experimentName === '25-word', 'experiment_name should be kept');
+    assert(filters.from === '2026-03-01T00:00:00.000Z', `Unexpected from: ${filters.from}`);
+    assert(filters.to === '2026-04-01T00:00:00.000Z', `A bare to date should include that day: ${filters.to}`);
+    assert(filters.completedOnly && filters.excludeCatch, 'Flags should be parsed');
+    assert(filters.limit === 50, 'limit should be parsed');
+  });
+
+  await test('invalid export filters are rejected', async () => {
+    const fields = query => parseExportFilters(query).problems.map(p => p.field).join();
+    assert(fields({ from: 'yesterday' }) === 'from', 'Bad date should be rejected');
+    assert(fields({ since_session: 'abc' }) === 'since_session', 'Bad cursor should be rejected');
+    assert(fields({ limit: '0' }) === 'limit', 'Zero limit should be rejected');
+    assert(fields({ limit: '1e9' }) === 'limit', 'Huge limit should be rejected');
+    assert(fields({ from: 'garbage', limit: '0', completed_only: 'maybe' }) === 'from,completed_only,limit', 'Every bad filter should be reported');
+  });
+
+  // =========================================
+  // CSV TESTS
+  // =========================================
+  describe('CSV');
+
+  await test('flattenData spreads each key into its own column', async () => {
+    const columns = flattenData({ catch_type: 'instructed', target: 20, items: ['A', 'B'], canvas: { width: 800 } });
+    assert(columns.data_catch_type === 'instructed' && columns.data_target === 20, 'Scalars should be kept');
+    assert(columns.data_items === '["A","B"]', `Arrays should be JSON: ${columns.data_items}`);
+    assert(columns.data_canvas === '{"width":800}', `Objects should be JSON: ${columns.data_canvas}`);
+    assert(Object.keys(flattenData(null)).length === 0, 'Missing data should give no columns');
+  });
+
+  await test('parseCsv reads back what toCsv writes', async () => {
+    const rows = [{ id: 'A', name: 'Moka pot, "classic"', note: 'two\nlines' }, { id: 'B', name: '', note: null }];
+    const parsed = parseCsv(toCsv(['id', 'name', 'note'], rows));
+    assert(parsed.length === 2, `Expected 2 rows, got ${parsed.length}`);
+    assert(parsed[0].name === 'Moka pot, "classic"' && parsed[0].note === 'two\nlines', 'Quoted values should round-trip');
+    assert(parsed[1].name === '' && parsed[1].note === '', 'Empty values should be empty strings');
+  });
+
+  // =========================================
+  // SIMILARITY MATRIX TESTS
+  // =========================================
+  describe('Similarity Matrix');
+
+  await test('meanCI gives a t-based 95% interval', async () => {
+    const { mean, sd, n, ci_lower, ci_upper } = meanCI([40, 50, 60]);
+    assert(mean === 50 && sd === 10 && n === 3, 'Mean, SD and n should be exact');
+    // t(0.975, 2) = 4.303, SE = 10 / sqrt(3)
+    assert(Math.abs(ci_upper - (50 + 4.303 * 10 / Math.sqrt(3))) < 1e-9, `Unexpected upper bound: ${ci_upper}`);
+    assert(Math.abs(ci_lower - (50 - 4.303 * 10 / Math.sqrt(3))) < 1e-9, `Unexpected lower bound: ${ci_lower}`);
+    assert(meanCI([70]).ci_lower === null, 'One rating has no interval');
+  });
+
+  await test('similarityMatrix is symmetric with identical pairs on the diagonal', async () => {
+    const cells = similarityMatrix(['A', 'B', 'C'], [
+      { pair_id: 'A_B', rating: 20 },
+      { pair_id: 'A_B', rating: 30 },
+      { pair_id: 'A_A', rating: 95 },
+      { pair_id: 'A_Z', rating: 10 }
+    ]);
+    assert(cells.A.B.mean === 25 && cells.B.A.n === 2, 'Pair cells should be shared both ways');
+    assert(cells.A.A.mean === 95, 'Identical pairs should fill the diagonal');
+    assert(cells.B.C.n === 0 && cells.B.C.mean === null, 'Unrated cells should be empty');
+    assert(!cells.Z, 'Products outside the stimulus set should be ignored');
+
+    const rows = matrixRows(['A', 'B', 'C'], cells, 'n');
+    assert(rows[1].product_id === 'B' && rows[1].A === 2 && rows[1].C === 0, 'CSV rows should hold one statistic');
+  });
+
+  await test('matrixRating applies the matrix exclusions to export rows', async () => {
+    const row = { pair_id: 'A_B', rating: '3', scale_min: '1', scale_max: '5', is_catch_trial: 'false', catch_type: '', repeat_of: '', attention_passed: '' };
+    assert(matrixRating(row) === 50, 'Ratings should be rescaled to 0-100');
+    assert(matrixRating({ ...row, scale_min: '', scale_max: '' }) === 3, 'Missing scale should mean 0-100');
+    assert(matrixRating({ ...row, repeat_of: '2' }) === null, 'Repeats should be left out');
+    assert(matrixRating({ ...row, attention_passed: 'false' }) === null, 'Failed-attention sessions should be left out');
+    assert(matrixRating({ ...row, is_catch_trial: 'true', catch_type: 'instructed' }) === null, 'Instructed catch trials should be left out');
+    assert(matrixRating({ ...row, pair_id: 'A_A', is_catch_trial: 'true', catch_type: 'identical' }) === 50, 'Identical pairs should be kept');
+  });
+
+  // =========================================
+  // MDS TESTS
+  // =========================================
+  describe('MDS');
+
+  await test('classical MDS recovers distances between points in the plane', async () => {
+    const points = [[0, 0], [30, 0], [0, 40], [30, 40], [15, 10]];
+    const distances = points.map(p => points.map(q => Math.hypot(p[0] - q[0], p[1] - q[1])));
+    const { coordinates, eigenvalues } = classicalMDS(distances, 2);
+
+    assert(eigenvalues[0] >= eigenvalues[1] && eigenvalues[1] > 0, 'Eigenvalues should be sorted and positive');
+    const fitted = Math.hypot(coordinates[0][0] - coordinates[3][0], coordinates[0][1] - coordinates[3][1]);
+    assert(Math.abs(fitted - 50) < 1e-6, `Distance should be preserved, got ${fitted}`);
+    assert(kruskalStress(distances, coordinates) < 1e-6, 'Stress should be zero for a perfect fit');
+  });
+
+  await test('similarities become distances and unrated pairs stay missing', async () => {
+    const cells = similarityMatrix(['A', 'B', 'C'], [{ pair_id: 'A_B', rating: 80 }, { pair_id: 'A_C', rating: 20 }]);
+    const distances = similarityToDistance(['A', 'B', 'C'], cells);
+    assert(distances[0][1] === 20 && distances[2][0] === 80, 'Distance should be 100 - similarity');
+    assert(distances[1][2] === null && distances[1][1] === 0, 'Unrated pairs are null and the diagonal is 0');
+
+    const { coordinates } = classicalMDS(distances, 1);
+    assert(coordinates.length === 3 && coordinates.every(c => c.length === 1 && Number.isFinite(c[0])), 'Missing distances should still give coordinates');
+  });
+
+  // =========================================
+  // RELIABILITY TESTS
+  // =========================================
+  describe('Reliability');
+
+  // Four participants agreeing on five pairs, plus one rating at random
+  const pairMeans = { A_B: 10, A_C: 30, A_D: 50, B_C: 70, B_D: 90 };
+  const agreeing = ['s1', 's2', 's3', 's4'].flatMap((sessionId, i) =>
+    Object.entries(pairMeans).map(([pair_id, m]) => ({ session_id: sessionId, pair_id, rating: m + (i % 2 ? 2 : -2) })));
+  const noisy = [90, 10, 70, 30, 50].map((rating, i) => ({ session_id: 'noisy', pair_id: Object.keys(pairMeans)[i], rating }));
+
+  await test('spearmanBrown steps a half-sample r up to the full sample', async () => {
+    assert(Math.abs(spearmanBrown(0.5) - 2 / 3) < 1e-12, 'r = .5 should become .667');
+    assert(spearmanBrown(1) === 1 && spearmanBrown(null) === null, 'Edge cases should pass through');
+  });
+
+  await test('split-half reliability is high when participants agree', async () => {
+    const result = splitHalfReliability(agreeing, { splits: 50, seed: 3 });
+    assert(result.n_participants === 4 && result.n_splits === 50, 'Every split should count');
+    assert(result.reliability > 0.99, `Expected near-perfect reliability, got ${result.reliability}`);
+    assert(result.ci_lower <= result.reliability && result.reliability <= result.ci_upper, 'Mean should lie in the percentile range');
+
+    const again = splitHalfReliability(agreeing, { splits: 50, seed: 3 });
+    assert(again.reliability === result.reliability, 'The same seed should give the same result');
+    assert(splitHalfReliability(agreeing.slice(0, 5)).n_splits === 0, 'One participant cannot be split');
+  });
+
+  await test('leave-one-out correlations flag the noisy rater', async () => {
+    const participants = leaveOneOutCorrelations([...agreeing, ...noisy]);
+    const flagged = participants.filter(p => p.flagged).map(p => p.session_id);
+    assert(flagged.length === 1 && flagged[0] === 'noisy', `Only the noisy rater should be flagged: ${flagged}`);
+    assert(participants.every(p => p.n_pairs === 5), 'Every pair should be compared');
+  });
+
+  await test('pairVariance lists the most disagreed-on pairs first', async () => {
+    const pairs = pairVariance([...agreeing, ...noisy]);
+    assert(pairs.length === 5 && pairs[0].variance >= pairs[4].variance, 'Pairs should be sorted by variance');
+    assert(pairs.find(p => p.pair_id === 'A_D').mean === 54, 'Means should include every rating');
+  });
+
+  // =========================================
+  // EXCLUSION TESTS
+  // =========================================
+  describe('Exclusions');
+
+  // Five regular pairs per session plus one identical-pair catch trial
+  function makeSession(sessionId, { ratings = [10, 30, 50, 70, 90], rt = 3000, catchRating = 95, completed = true } = {}) {
+    const trials = ratings.map((rating, i) => ({
+      trial_number: i + 1, pair_id: Object.keys(pairMeans)[i], rating, response_time_ms: rt, is_catch_trial: false
+    }));
+    trials.push({ trial_number: 6, pair_id: 'A_A', rating: catchRating, response_time_ms: rt, is_catch_trial: true, catch_type: 'identical' });
+    return { session_id: sessionId, completed_at: completed ? '2026-03-01T10:00:00Z' : null, trials };
+  }
+
+  const exclusionSessions = [
+    makeSession('good1'),
+    makeSession('good2', { ratings: [12, 28, 52, 68, 92] }),
+    makeSession('good3', { ratings: [8, 33, 47, 71, 88] }),
+    makeSession('flat', { ratings: [50, 50, 50, 50, 55] }),
+    makeSession('fast', { rt: 300 }),
+    makeSession('careless', { catchRating: 20 }),
+    makeSession('unfinished', { completed: false }),
+    makeSession('reversed', { ratings: [90, 70, 50, 30, 10] })
+  ];
+  const allRules = { incomplete: true, minCatchRating: 80, minMedianResponseMs: 1000, maxSameRatingShare: 0.6, minGroupCorrelation: 0.2 };
+
+  await test('each rule excludes the session that breaks it, with its value', async () => {
+    const exclusions = evaluateExclusions(exclusionSessions, allRules);
+    const reasons = Object.fromEntries(exclusions.map(e => [e.session_id, e.reason]));
+    assert(exclusions.length === 5, `Expected 5 exclusions, got ${JSON.stringify(exclusions)}`);
+    assert(reasons.flat === 'straight_lining' && reasons.fast === 'fast_responses', 'Straight-lining and speeding should be caught');
+    assert(reasons.careless === 'catch_rating' && reasons.unfinished === 'incomplete', 'Catch rating and incomplete sessions should be caught');
+    assert(reasons.reversed === 'low_group_correlation', 'The reversed rater should be caught');
+    const fast = exclusions.find(e => e.session_id === 'fast');
+    assert(fast.value === 300 && fast.threshold === 1000, 'Value and threshold should be recorded');
+  });
+
+  await test('rules left out of the config are not applied', async () => {
+    assert(evaluateExclusions(exclusionSessions, {}).length === 0, 'No rules should exclude nobody');
+    assert(evaluateExclusions(exclusionSessions, { incomplete: true }).length === 1, 'Only the incomplete rule should apply');
+    assert(Object.keys(exclusionRules('no-such-experiment', CONFIG)).length === 0, 'Unknown experiments have no rules');
+  });
+
+  await test('export rows group into sessions and exclusions are counted per reason', async () => {
+    const rows = [
+      { session_id: 's1', completed_at: '', trial_number: '', rating: '' },
+      { session_id: 's2', completed_at: '2026-03-01', trial_number: '1', pair_id: 'A_B', rating: '50', response_time_ms: '900', is_catch_trial: 'false' },
+      { session_id: 's2', completed_at: '2026-03-01', trial_number: '2', pair_id: 'A_C', rating: '50', response_time_ms: '700', is_catch_trial: 'false' }
+    ];
+    const sessions = sessionsFromRows(rows);
+    assert(sessions.length === 2 && sessions[0].trials.length === 0 && sessions[1].trials.length === 2, 'Rows should group by session');
+
+    const exclusions = evaluateExclusions(sessions, { incomplete: true, minMedianResponseMs: 1000, maxSameRatingShare: 0.8 });
+    const counts = countExclusions(exclusions, sessions.length);
+    assert(counts.n_excluded === 2 && counts.n_sessions === 2, `Both sessions should be excluded: ${JSON.stringify(counts)}`);
+    assert(counts.by_reason.incomplete === 1 && counts.by_reason.fast_responses === 1 && counts.by_reason.straight_lining === 1, 'Counts should be per reason');
+  });
+
+  // =========================================
+  // TELEMETRY TESTS
+  // =========================================
+  describe('Telemetry');
+
+  await test('countReversals counts changes of direction only', async () => {
+    assert(countReversals([50, 60, 70, 65, 65, 80, 20]) === 3, 'Up, down, up, down is 3 reversals');
+    assert(countReversals([50, 50, 60]) === 0 && countReversals([]) === 0, 'Plateaus and empty input have none');
+  });
+
+  await test('trial telemetry is summarised with latency, reversals and time hidden', async () => {
+    const summary = summarizeTrialTelemetry({
+      trajectory: [[700, 50], [800, 70], [900, 40]],
+      focus_events: [{ type: 'blur', t_ms: 1000 }, { type: 'hidden', t_ms: 1100 }, { type: 'visible', t_ms: 4100 }, { type: 'hidden', t_ms: 5000 }]
+    }, 6000);
+    assert(summary.first_movement_ms === 700 && summary.n_changes === 3, 'First movement and changes should come from the trajectory');
+    assert(summary.reversals === 1, `Expected 1 reversal, got ${summary.reversals}`);
+    assert(summary.blur_count === 1 && summary.hidden_count === 2, 'Focus events should be counted by type');
+    assert(summary.time_hidden_ms === 4000, `Time hidden should run to the response when still hidden, got ${summary.time_hidden_ms}`);
+
+    const triad = summarizeTrialTelemetry({ trajectory: [[500, 'A'], [900, 'B']] }, 1000);
+    assert(triad.reversals === null && triad.first_movement_ms === 500, 'Triad choices have no direction');
+  });
+
+  await test('malformed telemetry is rejected and missing telemetry is fine', async () => {
+    assert(validateTrialTelemetry(undefined) === null && validateTrialTelemetry(null) === null, 'Telemetry is optional');
+    assert(validateTrialTelemetry({ trajectory: [[100, 50]], focus_events: [{ type: 'blur', t_ms: 10 }] }) === null, 'Valid telemetry should pass');
+    assert(validateTrialTelemetry({ trajectory: [[-1, 50]] }), 'Negative times should be rejected');
+    assert(validateTrialTelemetry({ focus_events: [{ type: 'scroll', t_ms: 1 }] }), 'Unknown event types should be rejected');
+    const tooLong = Array.from({ length: MAX_TRAJECTORY_SAMPLES + 1 }, (_, i) => [i, 50]);
+    assert(validateTrialTelemetry({ trajectory: tooLong }), 'Oversized trajectories should be rejected');
+    assert(validateSessionTelemetry({ tab_switches: 2, time_away_ms: 5000, blur_count: 3, time_blurred_ms: 6000 }) === null, 'Valid page telemetry should pass');
+    assert(validateSessionTelemetry({ tab_switches: 2 }), 'Page telemetry needs every field');
+  });
+
+  // =========================================
+  // OUTBOX TESTS
+  // =========================================
+  describe('Outbox');
+
+  // In-memory stand-in for localStorage; timers are collected, not run
+  function memoryStorage() {
+    const data = new Map();
+    return { getItem: key => data.get(key) ?? null, setItem: (key, value) => data.set(key, value) };
+  }
+  function testOutbox(storage, send, timers = [], sendBatch = null) {
+    let id = 0;
+    const dropped = [];
+    const outbox = createOutbox({
+      storage,
+      storageKey: 'outbox',
+      send,
+      sendBatch,
+      createId: () => `key-${++id}`,
+      onDrop: (item, status) => dropped.push(status),
+      schedule: (fn, ms) => timers.push({ fn, ms }),
+      cancel: () => {}
+    });
+    return { outbox, dropped };
+  }
+
+  await test('retryDelay backs off exponentially up to the cap', async () => {
+    assert(retryDelay(1, () => 1) === 1000 && retryDelay(3, () => 1) === 4000, 'Delay should double per attempt');
+    assert(retryDelay(20, () => 1) === RETRY_MAX_MS, 'Delay should be capped');
+    assert(retryDelay(1, () => 0) === 500, 'Jitter should take at most half off');
+  });
+
+  await test('outbox removes acknowledged and rejected submissions', async () => {
+    const statuses = { '/a': 201, '/b': 409, '/c': 400, '/d': 410 };
+    const sent = [];
+    const { outbox, dropped } = testOutbox(memoryStorage(), async (url, body) => {
+      sent.push(body);
+      return statuses[url];
+    });
+    Object.keys(statuses).forEach(url => outbox.enqueue(url, { trial_number: 1 }));
+    await outbox.flush();
+    assert(outbox.size() === 0, `Outbox should be empty, has ${outbox.size()}`);
+    assert(dropped.join() === '400,410', 'Only the 400 and the 410 (session already completed) should be reported as dropped');
+    assert(sent.every(body => body.idempotency_key && body.trial_number === 1), 'Bodies should carry an idempotency key');
+  });
+
+  await test('outbox keeps failed submissions across reloads and resends the same key', async () => {
+    const storage = memoryStorage();
+    const sent = [];
+    let online = false;
+    const send = async (url, body) => {
+      sent.push(body.idempotency_key);
+      if (!online) throw new Error('offline');
+      return 201;
+    };
+
+    const first = testOutbox(storage, send);
+    first.outbox.enqueue('/api/trial', { trial_number: 1 });
+    await first.outbox.flush();
+    assert(first.outbox.size() === 1, 'A network error should keep the submission');
+
+    online = true;
+    const reloaded = testOutbox(storage, send);
+    assert(reloaded.outbox.size() === 1, 'The queue should be restored from storage');
+    assert(await reloaded.outbox.drain(1000) === true, 'drain should resolve true once empty');
+    assert(sent.length === 2 && sent[0] === sent[1], 'The retry should reuse the idempotency key');
+  });
+
+  await test('outbox drain gives up after the timeout and keeps retrying server errors', async () => {
+    const timers = [];
+    const { outbox } = testOutbox(memoryStorage(), async () => 503, timers);
+    outbox.enqueue('/api/trial', { trial_number: 1 });
+    const drained = outbox.drain(5000);
+    await outbox.flush();
+    timers.find(timer => timer.ms === 5000).fn();
+    assert(await drained === false, 'drain should resolve false on timeout');
+    assert(outbox.size() === 1, 'The submission should stay queued');
+    assert(timers.some(timer => timer.ms > 0 && timer.ms < 5000), 'A retry should be scheduled');
+  });
+
+  await test('outbox sends submissions that are due together as a batch', async () => {
+    const singles = [];
+    const batches = [];
+    let online = false;
+    const send = async (url, body) => {
+      if (!online) throw new Error('offline');
+      singles.push(url);
+      return 201;
+    };
+    const sendBatch = async (url, bodies) => {
+      if (!online) throw new Error('offline');
+      if (url !== '/api/trial') return null;
+      batches.push(bodies.map(body => body.trial_number));
+      return bodies.map(body => (body.trial_number === 2 ? 400 : 201));
+    };
+    const { outbox, dropped } = testOutbox(memoryStorage(), send, [], sendBatch);
+
+    [1, 2, 3].forEach(n => outbox.enqueue('/api/trial', { trial_number: n }));
+    outbox.enqueue('/api/arrangement', { trial_number: 4 });
+    await outbox.flush();
+    online = true;
+    assert(await outbox.drain(1000) === true, 'drain should empty the outbox');
+    assert(batches.length === 1 && batches[0].join() === '1,2,3', `Trials should go in one batch, got ${JSON.stringify(batches)}`);
+    assert(singles.join() === '/api/arrangement', 'Other URLs should be sent one by one');
+    assert(dropped.length === 1 && dropped[0] === 400, 'Invalid trials in the batch should be dropped');
+  });
+
+  // =========================================
+  // TRIAL SUBMISSION TESTS
+  // =========================================
+  describe('Trial Submissions');
+
+  const submission = {
+    session_id: '3f2b8c1e-4d5a-4b6c-8d7e-9f0a1b2c3d4e',
+    trial_number: 2,
+    pair_id: 'A_B',
+    position: 'BA',
+    left_product_id: 'B',
+    right_product_id: 'A',
+    rating: 70,
+    response_time_ms: 2500,
+    is_catch_trial: false
+  };
+
+  await test('trial submissions are validated like /api/trial', async () => {
+    const fields = body => validateTrialSubmission(body).map(p => p.field).join();
+    assert(fields(submission) === '', 'A valid pair trial should pass');
+    assert(fields({ ...submission, rating: undefined }) === 'rating', 'Pairs need a rating');
+    assert(fields({ ...submission, session_id: 'nope', trial_number: 1.5 }) === 'session_id,trial_number', 'Every bad field should be listed');
+    assert(fields({ ...submission, rating: 101 }) === 'rating', 'Ratings outside the scale should be rejected');
+    assert(fields({ ...submission, repeat_of: 2 }) === 'repeat_of', 'repeat_of must be an earlier trial');
+    assert(fields({ ...submission, idempotency_key: 7 }) === 'idempotency_key', 'idempotency_key must be a string');
+
+    const triad = { session_id: submission.session_id, trial_number: 1, trial_type: 'triad', items: ['A', 'B', 'C'], odd_one_out: 'C', response_time_ms: 900 };
+    assert(fields(triad) === '', 'A valid triad should pass without pair fields');
+    assert(fields({ ...triad, odd_one_out: 'D' }) === 'items', 'The odd one out must be one of the items');
+  });
+
+  await test('trialRow puts pair details in columns and extras in data', async () => {
+    const row = trialRow({ ...submission, scale_type: 'likert', scale_min: 1, scale_max: 7, rating: 5, idempotency_key: 'k' });
+    assert(row.pair_id === 'A_B' && row.scale_type === 'likert' && row.scale_max === 7, 'Pair and scale should be columns');
+    assert(JSON.parse(row.data).left_product_id === 'B' && row.idempotency_key === 'k', 'Product IDs go in data, key in its column');
+    assert(trialRow(submission).scale_type === 'slider', 'Trials without a scale use the slider');
+
+    const triadRow = trialRow({ session_id: submission.session_id, trial_number: 1, trial_type: 'triad', items: ['A', 'B', 'C'], odd_one_out: 'C', response_time_ms: 900 });
+    assert(triadRow.pair_id === null && triadRow.rating === null, 'Triads have no pair or rating');
+    assert(JSON.parse(triadRow.data).odd_one_out === 'C', 'The triad choice goes in data');
+  });
+
+  // =========================================
+  // RESPONSE WIDGET TESTS
+  // =========================================
+  describe('Response Widgets');
+
+  await test('every widget rates on a scale the server accepts', async () => {
+    assert(WIDGET_TYPES.join() === SCALE_TYPES.join(), 'Every scale type should have a widget');
+    WIDGET_TYPES.forEach(type => {
+      const scale = responseScale({ type });
+      assert(scale.type === type && validateScale(scale) === null, `${type} should report a valid scale`);
+      // The endpoints are ratings the widget can give; one step past them is not
+      const rated = rating => validateTrialSubmission({ ...submission, rating, scale_type: scale.type, scale_min: scale.min, scale_max: scale.max });
+      assert(rated(scale.min).length === 0 && rated(scale.max).length === 0, `${type} endpoints should be valid ratings`);
+      assert(rated(scale.min - 1).length === 1 && rated(scale.max + 1).length === 1, `${type} ratings outside the scale should be rejected`);
+    });
+  });
+
+  await test('widget scales follow their options', async () => {
+    const scale = config => JSON.stringify(responseScale(config));
+    assert(scale(undefined) === '{"type":"slider","min":0,"max":100}', 'The default is the 0-100 slider');
+    assert(scale({ type: 'slider', min: 1, max: 9 }) === '{"type":"slider","min":1,"max":9}', 'The slider range can be set');
+    assert(scale({ type: 'likert' }) === '{"type":"likert","min":1,"max":7}', 'Likert defaults to 1..7');
+    assert(scale({ type: 'likert', points: 5 }) === '{"type":"likert","min":1,"max":5}', 'Likert runs 1..points');
+    assert(scale({ type: 'vas', min: 5, max: 10 }) === '{"type":"vas","min":0,"max":100}', 'VAS is always 0-100');
+    assert(scale({ type: 'binary' }) === '{"type":"binary","min":0,"max":1}', 'Binary is 0 or 1');
+
+    let error = null;
+    try {
+      responseScale({ type: 'dial' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('dial'), 'Unknown widgets should be rejected');
+  });
+
+  // =========================================
+  // REQUEST SCHEMA TESTS
+  // =========================================
+  describe('Request Schemas');
+
+  const demographicsSchema = {
+    session_id: { type: 'uuid', required: true },
+    age: { type: 'number', min: 18, max: 120 },
+    gender: { type: 'string', values: ['male', 'female'] },
+    note: { type: 'string', max: 5 },
+    format: { type: 'string', default: 'json' }
+  };
+
+  await test('schemas report every bad field with a message', async () => {
+    const { problems } = validateSchema(demographicsSchema, { session_id: 'x', age: 12, gender: 'robot', note: 'too long' });
+    assert(problems.map(p => p.field).join() === 'session_id,age,gender,note', `Unexpected fields: ${JSON.stringify(problems)}`);
+    assert(problems[1].message === 'age must be between 18 and 120', problems[1].message);
+    assert(problems[3].message === 'note must have at most 5 characters', problems[3].message);
+    assert(problemsBody(problems).error.split('; ').length === 4, 'The error text should join every message');
+    assert(validateSchema(demographicsSchema, {}).problems[0].message === 'session_id is required', 'Required fields should be reported');
+  });
+
+  await test('schemas fill defaults, treat null as not given and parse query strings', async () => {
+    const { values, problems } = validateSchema(demographicsSchema, { session_id: submission.session_id, age: null });
+    assert(problems.length === 0, 'null optional fields are fine');
+    assert(values.format === 'json' && !('age' in values), 'Defaults fill in, missing fields stay out');
+
+    const query = validateSchema({ n: { type: 'integer', min: 1 }, all: { type: 'boolean' } }, { n: '3', all: 'true' }, { fromQuery: true });
+    assert(query.values.n === 3 && query.values.all === true, 'Query strings should be parsed');
+    assert(validateSchema({ n: { type: 'integer' } }, { n: 'abc' }, { fromQuery: true }).problems[0].message === 'n must be an integer', 'Unparseable numbers are errors');
+  });
+
+  // =========================================
+  // SESSION TOKEN TESTS
+  // =========================================
+  describe('Session Tokens');
+
+  await test('session tokens verify only for their session, secret and lifetime', async () => {
+    const sessionId = submission.session_id;
+    const otherId = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+    const now = Date.UTC(2026, 0, 1);
+    const token = createSessionToken(sessionId, 'secret', now);
+
+    assert(verifySessionToken(token, sessionId, 'secret', now + 1000), 'A fresh token should verify');
+    assert(verifySessionToken(token, sessionId.toUpperCase(), 'secret', now), 'session_id case should not matter');
+    assert(!verifySessionToken(token, otherId, 'secret', now), 'A token is only good for its own session');
+    assert(!verifySessionToken(token, sessionId, 'other secret', now), 'A token signed with another secret should fail');
+    assert(!verifySessionToken(token, sessionId, 'secret', now + SESSION_TOKEN_TTL_MS + 1), 'Expired tokens should fail');
+
+    const [expiresAt, signature] = token.split('.');
+    assert(!verifySessionToken(`${Number(expiresAt) + 1000}.${signature}`, sessionId, 'secret', now), 'Extending the expiry breaks the signature');
+    assert(!verifySessionToken(undefined, sessionId, 'secret', now) && !verifySessionToken(token, sessionId, '', now), 'Missing tokens and secrets fail');
+  });
+
+  // =========================================
+  // LOCAL STORAGE TESTS
+  // =========================================
+  describe('Local Storage');
+
+  await test('the local driver runs the schema, queries and transactions like Neon', async () => {
+    const sql = createSql({ DATABASE_DRIVER: 'local' });
+    const [session] = await sql`
+      INSERT INTO sessions (experiment_name, prolific_pid) VALUES (${'local-test'}, ${undefined}) RETURNING session_id, prolific_pid
+    `;
+    assert(session.prolific_pid === null, 'undefined parameters should be stored as NULL');
+
+    const pending = sql`SELECT COUNT(*) AS n FROM sessions WHERE experiment_name = ${'local-test'}`;
+    const [deleted, counted] = await sql.transaction([
+      sql`DELETE FROM sessions WHERE session_id = ${session.session_id} RETURNING session_id`,
+      pending
+    ]);
+    assert(deleted.length === 1 && counted[0].n === '0', 'Transactions should run their queries in order, with counts as strings');
+
+    let error = null;
+    try {
+      createSql({ DATABASE_DRIVER: 'sqlite' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('DATABASE_DRIVER'), 'Unknown drivers should be rejected');
+  });
+
+  await test('the dev server serves the page and runs a session through to the export', async () => {
+    await withDevServer(async ({ base, post }) => {
+      const page = await fetch(base);
+      assert(page.status === 200 && (await page.text()).includes('experiment.js'), 'index.html should be served at /');
+
+      const session = await (await post('session', { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'dev-test' })).json();
+      const auth = { session_id: session.session_id, session_token: session.session_token };
+      const trial = session.trial_plan.trials.find(t => !t.is_catch_trial);
+      const trialNumber = session.trial_plan.trials.indexOf(trial) + 1;
+      const stored = await post('trial', {
+        ...auth, trial_number: trialNumber, pair_id: trial.pair_id, position: trial.position,
+        left_product_id: trial.left_product_id, right_product_id: trial.right_product_id,
+        repeat_of: trial.repeat_of, rating: 42, response_time_ms: 2500
+      });
+      assert(stored.status === 201, `The trial should be stored (got ${stored.status})`);
+      assert((await post('complete', auth)).status === 200, 'The session should complete');
+
+      const exported = await fetch(`${base}/api/export?key=test&experiment_name=${CONFIG.EXPERIMENT_NAME}`);
+      const rows = parseCsv(await exported.text());
+      assert(rows.some(row => row.session_id === session.session_id && row.rating === '42'), 'The export should include the trial');
+
+      const invalid = await fetch(`${base}/api/export?key=test&from=garbage&limit=0`);
+      const { fields } = await invalid.json();
+      assert(invalid.status === 400 && fields.map(f => f.field).join() === 'from,limit', `Every bad export filter should be reported (got ${JSON.stringify(fields)})`);
+    });
+    assert(process.env.SESSION_TOKEN_SECRET !== 'test', 'The environment should be restored afterwards');
+  });
+
+  await test('pair coverage counts completed ratings without catch trials or repeats', async () => {
+    const sql = createSql({ DATABASE_DRIVER: 'local' });
+    const [session] = await sql`
+      INSERT INTO sessions (experiment_name, completed_at) VALUES ('coverage-test', NOW()) RETURNING session_id
+    `;
+    await sql`
+      INSERT INTO trials (session_id, trial_number, pair_id, position, rating, response_time_ms, is_catch_trial, data)
+      VALUES
+        (${session.session_id}, 1, 'A_B', 'AB', 40, 1000, false, NULL),
+        (${session.session_id}, 2, 'A_C', 'AC', 60, 1000, false, '{"left_product_id": "A"}'),
+        (${session.session_id}, 3, 'A_A', 'AA', 99, 1000, true, NULL),
+        (${session.session_id}, 4, 'A_B', 'BA', 45, 1000, false, '{"repeat_of": 1}')
+    `;
+    const counts = await getPairCoverage(sql, 'coverage-test');
+    assert(counts.A_B === 1 && counts.A_C === 1 && !('A_A' in counts), `Unexpected coverage: ${JSON.stringify(counts)}`);
+  });
+
+  await test('concurrent pair assignments for one session store and return one set', async () => {
+    const sql = createSql({ DATABASE_DRIVER: 'local' });
+    const [session] = await sql`INSERT INTO sessions (experiment_name) VALUES ('assign-test') RETURNING session_id`;
+    const options = { sessionId: session.session_id, experimentName: 'assign-test', productIds: ['A', 'B', 'C', 'D'], nPairs: 3 };
+    const [first, second] = await Promise.all([assignPairs(sql, options), assignPairs(sql, options)]);
+    const stored = await sql`SELECT pair_id FROM pair_assignments WHERE session_id = ${session.session_id}`;
+    assert(stored.length === 3, `The session should keep one set of pairs (got ${stored.length})`);
+    assert(first.pairIds.join() === second.pairIds.join(), 'Both calls should return the stored pairs');
+    assert((await assignPairs(sql, options)).reused, 'A later call should reuse the assignment');
+  });
+
+  await test('every page of a wide or long_full export has the same columns', async () => {
+    await withDevServer(async ({ base, post }) => {
+      const from = new Date().toISOString();
+      // One session rates a regular trial, the other a catch trial (data_catch_type, no pair column)
+      for (const catchTrial of [false, true]) {
+        const session = await (await post('session', { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: `pages-${catchTrial}` })).json();
+        const index = session.trial_plan.trials.findIndex(t => Boolean(t.is_catch_trial) === catchTrial);
+        const trial = session.trial_plan.trials[index];
+        const stored = await post('trial', {
+          session_id: session.session_id, session_token: session.session_token, trial_number: index + 1,
+          pair_id: trial.pair_id, position: trial.position, left_product_id: trial.left_product_id,
+          right_product_id: trial.right_product_id, is_catch_trial: trial.is_catch_trial, catch_type: trial.catch_type,
+          repeat_of: trial.repeat_of, rating: 50, response_time_ms: 2000
+        });
+        assert(stored.status === 201, `The trial should be stored (got ${stored.status})`);
+      }
+
+      for (const format of ['wide', 'long_full']) {
+        const headers = [];
+        let cursor = '';
+        do {
+          const query = new URLSearchParams({ key: 'test', format, from, limit: '1', ...(cursor && { since_session: cursor }) });
+          const page = await fetch(`${base}/api/export?${query}`);
+          headers.push((await page.text()).split('\n')[0]);
+          cursor = page.headers.get('X-Next-Since-Session');
+        } while (cursor);
+        assert(headers.length === 2 && headers[0] === headers[1], `${format} pages should share a header: ${JSON.stringify(headers)}`);
+      }
+    });
+  });
+
+  await test('stimuli load from the project whatever the working directory', async () => {
+    const cwd = process.cwd();
+    process.chdir(os.tmpdir());
+    try {
+      const stimuli = await loadStimuli(CONFIG.EXPERIMENT_NAME);
+      assert(stimuli.products.length > 0, 'The stimulus set should be found');
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  await test('the admin summary is aggregated in SQL', async () => {
+    const sql = createSql({ DATABASE_DRIVER: 'local' });
+    const old = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+    await sql`
+      INSERT INTO sessions (experiment_name, started_at, completed_at, total_duration_ms, attention_passed, outcome, screening_answers)
+      VALUES
+        ('admin-test', ${old}, ${old}, 1000, true, 'completed', NULL),
+        ('admin-test', ${old}, ${old}, 3000, false, 'failed_attention', NULL),
+        ('admin-test', ${old}, NULL, NULL, NULL, NULL, '[{"eligible": true}]'),
+        ('admin-test', ${old}, NULL, NULL, NULL, 'screened_out', NULL),
+        ('admin-test', NOW(), NULL, NULL, NULL, NULL, NULL)
+    `;
+
+    await withDevServer(async ({ base }) => {
+      const response = await fetch(`${base}/api/admin?experiment_name=admin-test`, { headers: { Authorization: 'Bearer test' } });
+      const { experiments, coverage } = await response.json();
+      const x = experiments.find(e => e.experiment_name === 'admin-test');
+      assert(x.started === 5 && x.completed === 2 && x.abandoned === 1 && x.in_progress === 1, `Unexpected counts: ${JSON.stringify(x)}`);
+      assert(x.median_duration_ms === 2000 && x.attention_pass_rate === 0.5, `Unexpected median or pass rate: ${JSON.stringify(x)}`);
+      assert(x.outcomes.screened_out === 1 && x.outcomes.failed_attention === 1, 'Outcomes should be counted');
+      assert(x.drop_off.find(d => d.page === 'instructions').count === 1, 'The abandoned session should drop off at instructions');
+      assert(coverage.experiment_name === 'admin-test', 'Coverage should be for the chosen experiment');
+    });
+  });
+
+  // =========================================
+  // SESSION API TESTS
+  // =========================================
+  describe('Session API');
+
+  await test('completing twice returns the stored outcome and later writes are refused', async () => {
+    await withDevServer(async ({ post }) => {
+      const session = await (await post('session', { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'complete-twice' })).json();
+      const auth = { session_id: session.session_id, session_token: session.session_token };
+
+      const first = await (await post('complete', auth)).json();
+      const retry = await post('complete', auth);
+      const again = await retry.json();
+      assert(retry.status === 200 && again.already_completed, `A repeated complete should succeed (got ${retry.status})`);
+      assert(again.outcome === first.outcome && again.redirect_url === first.redirect_url, 'A repeated complete should give the first outcome and redirect');
+
+      const late = await post('demographics', { ...auth, age: 30 });
+      assert(late.status === 410, `Writes after completion should get 410 (got ${late.status})`);
+    });
+  });
+
+  await test('an unfinished session is only handed back with its token or Prolific SESSION_ID', async () => {
+    await withDevServer(async ({ post, get }) => {
+      const start = { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'takeover', session_id_param: 'prolific-session-1' };
+      const original = await (await post('session', start)).json();
+
+      const byPid = await (await post('session', { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'takeover' })).json();
+      assert(!byPid.resumed && byPid.session_id !== original.session_id, 'The prolific_pid alone should start a new session');
+      const peek = await (await get('session', { prolific_pid: 'takeover', experiment_name: CONFIG.EXPERIMENT_NAME })).json();
+      assert(peek.exists && !peek.session_id && !peek.trials, 'GET without proof should not reveal the session');
+
+      const byToken = await (await post('session', { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'takeover', session_token: original.session_token })).json();
+      assert(byToken.resumed && byToken.session_id === original.session_id, 'The old token should resume the session');
+      const byParam = await (await post('session', start)).json();
+      assert(byParam.resumed && byParam.session_id === original.session_id, 'The same SESSION_ID should resume the session');
+      assert(verifySessionToken(byParam.session_token, original.session_id, 'test'), 'A resumed session should come with a valid token');
+
+      const fetched = await (await get('session', { prolific_pid: 'takeover', experiment_name: CONFIG.EXPERIMENT_NAME, session_token: original.session_token })).json();
+      assert(fetched.session_id === original.session_id && Array.isArray(fetched.trials), 'GET with the token should return the session to resume');
+    });
+  });
+
+  await test('a resumed session comes back with its plan and the trials already answered', async () => {
+    await withDevServer(async ({ post, get }) => {
+      const start = { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'resume-test', session_id_param: 'prolific-session-2' };
+      const lookup = { prolific_pid: 'resume-test', experiment_name: CONFIG.EXPERIMENT_NAME, session_id_param: 'prolific-session-2' };
+      assert((await (await get('session', lookup)).json()).exists === false, 'A new participant should have no session');
+
+      const original = await (await post('session', start)).json();
+      const auth = { session_id: original.session_id, session_token: original.session_token };
+      // Plans come back from JSONB with their keys reordered, so compare the trials' order
+      const planOrder = plan => plan.trials.map(t => `${t.pair_id}:${t.position}`).join();
+      const answered = original.trial_plan.trials.slice(0, 2);
+      for (const [index, trial] of answered.entries()) {
+        const stored = await post('trial', {
+          ...auth, trial_number: index + 1, pair_id: trial.pair_id, position: trial.position,
+          left_product_id: trial.left_product_id, right_product_id: trial.right_product_id,
+          repeat_of: trial.repeat_of, is_catch_trial: trial.is_catch_trial, rating: 10 + index, response_time_ms: 2000
+        });
+        assert(stored.status === 201, `Trial ${index + 1} should be stored (got ${stored.status})`);
+      }
+
+      const fetched = await (await get('session', lookup)).json();
+      assert(fetched.exists && !fetched.completed && fetched.session_id === original.session_id, 'GET should find the unfinished session');
+      assert(planOrder(fetched.trial_plan) === planOrder(original.trial_plan), 'GET should return the stored plan');
+      assert(fetched.trials.map(t => t.trial_number).join() === '1,2' && fetched.trials[1].rating === 11, 'GET should return the answered trials');
+
+      const resumed = await post('session', start);
+      const body = await resumed.json();
+      assert(resumed.status === 200 && body.resumed && body.session_id === original.session_id, 'POST should resume rather than start a session');
+      assert(planOrder(body.trial_plan) === planOrder(original.trial_plan), 'POST should hand back the same plan');
+
+      assert((await post('complete', { session_id: body.session_id, session_token: body.session_token })).status === 200, 'The resumed session should complete');
+      const done = await (await get('session', lookup)).json();
+      assert(done.exists && done.completed && done.session_id === original.session_id && !done.trials, 'GET should report the session as completed');
+    });
+  });
+
+  await test('declining consent and then consenting starts a new session with its own outcome', async () => {
+    await withDevServer(async ({ post, get }) => {
+      const start = { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'changed-mind', session_id_param: 'prolific-session-2' };
+      const declined = await (await post('session', { ...start, consent: false })).json();
+      assert(declined.outcome === 'no_consent', 'Declining should be recorded as no_consent');
+
+      const peek = await (await get('session', { prolific_pid: 'changed-mind', experiment_name: CONFIG.EXPERIMENT_NAME, session_id_param: 'prolific-session-2' })).json();
+      assert(!peek.session_id, 'A declined session should not be offered for resuming');
+
+      const consented = await (await post('session', start)).json();
+      assert(!consented.resumed && consented.session_id !== declined.session_id && consented.trial_plan, 'Consenting should start a new session with a plan');
+
+      const completed = await (await post('complete', { session_id: consented.session_id, session_token: consented.session_token })).json();
+      assert(completed.outcome !== 'no_consent', `The new session should get its own outcome (got ${completed.outcome})`);
+    });
+  });
+
+  await test('a withdrawn session is not resumed', async () => {
+    await withDevServer(async ({ post }) => {
+      const start = { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'withdrew' };
+      const session = await (await post('session', start)).json();
+      await post('outcome', { session_id: session.session_id, session_token: session.session_token, outcome: 'returned' });
+
+      const again = await (await post('session', { ...start, session_token: session.session_token })).json();
+      assert(!again.resumed && again.session_id !== session.session_id, 'Returning should end the session for good');
+    });
+  });
+
+  await test('a batch stores a valid trial after an invalid one with the same trial_number', async () => {
+    await withDevServer(async ({ post }) => {
+      const session = await (await post('session', { experiment_name: CONFIG.EXPERIMENT_NAME, prolific_pid: 'batch-test' })).json();
+      const trial = session.trial_plan.trials[0];
+      const submission = {
+        trial_number: 1, pair_id: trial.pair_id, position: trial.position,
+        left_product_id: trial.left_product_id, right_product_id: trial.right_product_id,
+        repeat_of: trial.repeat_of, is_catch_trial: trial.is_catch_trial, rating: 50, response_time_ms: 2000
+      };
+      const response = await post('trials/batch', {
+        session_id: session.session_id,
+        session_token: session.session_token,
+        trials: [{ ...submission, rating: 'high' }, submission, submission]
+      });
+      const { results } = await response.json();
+      assert(results.map(r => r.status).join() === 'invalid,created,invalid', `Unexpected statuses: ${JSON.stringify(results)}`);
+      assert(results[2].error.includes('more than once'), 'A second valid copy should still be a duplicate in the batch');
+    });
+  });
+
+  // Print summary
+  console.log('\n' + '='.repeat(50));
+  console.log('\nTest Summary:');
+  console.log(`  Passed: ${testResults.passed}`);
+  console.log(`  Failed: ${testResults.failed}`);
+  console.log(`  Total:  ${testResults.passed + testResults.failed}`);
+
+  if (testResults.failed > 0) {
+    console.log('\nFailed tests:');
+    testResults.tests
+      .filter(t => !t.passed)
+      .forEach(t => console.log(`  - ${t.name}: ${t.error}`));
+    process.exit(1);
+  } else {
+    console.log('\nAll tests passed!');
+    process.exit(0);
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,45 @@
+// Two-choice judgement: "same kind" (1) or "different kind" (0)
+export function binaryScale() {
+  return { type: 'binary', min: 0, max: 1 };
+}
+
+export function createBinaryWidget(container, options, onChange) {
+  const scale = binaryScale();
+  const {
+    labels = ['Different kind of product', 'Same kind of product']
+  } = options;
+
+  container.innerHTML = `
+    <div class="binary-container">
+      <button type="button" class="btn-secondary binary-choice" data-value="0"></button>
+      <button type="button" class="btn-secondary binary-choice" data-value="1"></button>
+    </div>
+  `;
+
+  const buttons = Array.from(container.querySelectorAll('.binary-choice'));
+  buttons[0].textContent = labels[0];
+  buttons[1].textContent = labels[1];
+
+  let value = null;
+
+  buttons.forEach(button => {
+    button.addEventListener('click', () => {
+      value = parseInt(button.dataset.value);
+      buttons.forEach(b => b.classList.toggle('selected', b === button));
+      onChange(value);
+    });
+  });
+
+  return {
+    scale,
+
+    reset() {
+      value = null;
+      buttons.forEach(b => b.classList.remove('selected'));
+    },
+
+    getValue() {
+      return value;
+    }
+  };
+}
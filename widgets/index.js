@@ -0,0 +1,40 @@
+import { createSliderWidget, sliderScale } from './slider.js';
+import { createLikertWidget, likertScale } from './likert.js';
+import { createVasWidget, vasScale } from './vas.js';
+import { createBinaryWidget, binaryScale } from './binary.js';
+
+// Response widgets by CONFIG.RESPONSE_WIDGET.type. Each widget renders into a
+// container and returns { scale: { type, min, max }, reset(), getValue() };
+// getValue() is null until the participant has responded, and onChange(value)
+// is called whenever they respond. The scale is sent with every trial as
+// scale_type/scale_min/scale_max and checked against lib/scales.js.
+const WIDGETS = {
+  slider: { create: createSliderWidget, scale: sliderScale },
+  likert: { create: createLikertWidget, scale: likertScale },
+  vas: { create: createVasWidget, scale: vasScale },
+  binary: { create: createBinaryWidget, scale: binaryScale }
+};
+
+export const WIDGET_TYPES = Object.keys(WIDGETS);
+
+function resolveWidget(config) {
+  const { type = 'slider', ...options } = config || {};
+  const widget = WIDGETS[type];
+
+  if (!widget) {
+    throw new Error(`Unknown response widget: ${type}`);
+  }
+
+  return { widget, options };
+}
+
+// The scale a widget config rates on, without rendering it
+export function responseScale(config) {
+  const { widget, options } = resolveWidget(config);
+  return widget.scale(options);
+}
+
+export function createResponseWidget(config, container, onChange) {
+  const { widget, options } = resolveWidget(config);
+  return widget.create(container, options, onChange);
+}
@@ -0,0 +1,54 @@
+// N-point Likert scale (7 by default) with labelled endpoints, rated 1..N
+export function likertScale({ points = 7 }) {
+  return { type: 'likert', min: 1, max: points };
+}
+
+export function createLikertWidget(container, options, onChange) {
+  const scale = likertScale(options);
+  const points = scale.max;
+  const {
+    labels = ['Not at all similar', 'Extremely similar']
+  } = options;
+
+  container.innerHTML = `
+    <div class="likert-container">
+      <div class="likert-options"></div>
+      <div class="likert-labels">
+        <span></span>
+        <span></span>
+      </div>
+    </div>
+  `;
+
+  const optionsEl = container.querySelector('.likert-options');
+  for (let value = 1; value <= points; value++) {
+    const option = document.createElement('label');
+    option.className = 'likert-option';
+    option.innerHTML = `<input type="radio" name="likert-response" value="${value}"><span>${value}</span>`;
+    optionsEl.appendChild(option);
+  }
+
+  const [lowLabel, highLabel] = container.querySelectorAll('.likert-labels span');
+  lowLabel.textContent = labels[0];
+  highLabel.textContent = labels[1];
+
+  const inputs = Array.from(optionsEl.querySelectorAll('input'));
+  inputs.forEach(input => {
+    input.addEventListener('change', () => onChange(parseInt(input.value)));
+  });
+
+  return {
+    scale,
+
+    reset() {
+      inputs.forEach(input => {
+        input.checked = false;
+      });
+    },
+
+    getValue() {
+      const checked = inputs.find(input => input.checked);
+      return checked ? parseInt(checked.value) : null;
+    }
+  };
+}
@@ -0,0 +1,53 @@
+// 0-100 slider with numeric feedback (the original response widget)
+export function sliderScale({ min = 0, max = 100 }) {
+  return { type: 'slider', min, max };
+}
+
+export function createSliderWidget(container, options, onChange) {
+  const scale = sliderScale(options);
+  const { min, max } = scale;
+  const {
+    start = 50,
+    labels = ['Not at all similar', 'Extremely similar']
+  } = options;
+
+  container.innerHTML = `
+    <div class="slider-container">
+      <label class="slider-label">
+        <span></span>
+        <span></span>
+      </label>
+      <input type="range" id="similarity-slider" min="${min}" max="${max}" value="${start}">
+      <div id="slider-value">${start}</div>
+    </div>
+  `;
+
+  const [lowLabel, highLabel] = container.querySelectorAll('.slider-label span');
+  lowLabel.textContent = labels[0];
+  highLabel.textContent = labels[1];
+
+  const slider = container.querySelector('#similarity-slider');
+  const sliderValue = container.querySelector('#slider-value');
+  let moved = false;
+
+  slider.addEventListener('input', () => {
+    sliderValue.textContent = slider.value;
+    moved = true;
+    onChange(parseInt(slider.value));
+  });
+
+  return {
+    scale,
+
+    reset() {
+      slider.value = start;
+      sliderValue.textContent = String(start);
+      moved = false;
+    },
+
+    // The slider starts at a value, so only count it as answered once moved
+    getValue() {
+      return moved ? parseInt(slider.value) : null;
+    }
+  };
+}
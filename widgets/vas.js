@@ -0,0 +1,84 @@
+// Visual analogue scale: a plain line with no numbers and no marker until the
+// participant clicks or drags, so there is no default position to anchor on.
+// Always 0-100, whatever the options.
+export function vasScale() {
+  return { type: 'vas', min: 0, max: 100 };
+}
+
+export function createVasWidget(container, options, onChange) {
+  const scale = vasScale();
+  const { min, max } = scale;
+  const {
+    labels = ['Not at all similar', 'Extremely similar']
+  } = options;
+
+  container.innerHTML = `
+    <div class="vas-container">
+      <div class="vas-track" tabindex="0" role="slider" aria-valuemin="${min}" aria-valuemax="${max}">
+        <div class="vas-marker hidden"></div>
+      </div>
+      <div class="vas-labels">
+        <span></span>
+        <span></span>
+      </div>
+    </div>
+  `;
+
+  const [lowLabel, highLabel] = container.querySelectorAll('.vas-labels span');
+  lowLabel.textContent = labels[0];
+  highLabel.textContent = labels[1];
+
+  const track = container.querySelector('.vas-track');
+  const marker = container.querySelector('.vas-marker');
+  let value = null;
+  let dragging = false;
+
+  function setValue(newValue) {
+    value = Math.max(min, Math.min(max, Math.round(newValue)));
+    marker.style.left = `${value}%`;
+    marker.classList.remove('hidden');
+    track.setAttribute('aria-valuenow', String(value));
+    onChange(value);
+  }
+
+  function setFromPointer(event) {
+    const rect = track.getBoundingClientRect();
+    setValue(((event.clientX - rect.left) / rect.width) * max);
+  }
+
+  track.addEventListener('pointerdown', (event) => {
+    dragging = true;
+    track.setPointerCapture(event.pointerId);
+    setFromPointer(event);
+  });
+
+  track.addEventListener('pointermove', (event) => {
+    if (dragging) setFromPointer(event);
+  });
+
+  track.addEventListener('pointerup', () => {
+    dragging = false;
+  });
+
+  // Arrow keys nudge the marker once it has been placed
+  track.addEventListener('keydown', (event) => {
+    if (value === null) return;
+    if (event.key === 'ArrowLeft') setValue(value - 1);
+    if (event.key === 'ArrowRight') setValue(value + 1);
+  });
+
+  return {
+    scale,
+
+    reset() {
+      value = null;
+      dragging = false;
+      marker.classList.add('hidden');
+      track.removeAttribute('aria-valuenow');
+    },
+
+    getValue() {
+      return value;
+    }
+  };
+}